@@ -9,6 +9,8 @@ import EventBreakdown from './components/EventBreakdown'
 import CrashReports from './components/CrashReports'
 import FeaturedDesigns from './components/FeaturedDesigns'
 import ArtistLinks from './components/ArtistLinks'
+import Tags from './components/Tags'
+import Moderation from './components/Moderation'
 
 const styles = {
   container: {
@@ -198,10 +200,20 @@ function App() {
           Featured
         </button>
         <button
-          style={{ ...styles.sectionBtn, borderRadius: '0 8px 8px 0', borderLeft: 'none', ...(section === 'artists' ? styles.sectionBtnActive : {}) }}
+          style={{ ...styles.sectionBtn, borderLeft: 'none', ...(section === 'artists' ? styles.sectionBtnActive : {}) }}
           onClick={() => setSection('artists')}>
           Artist Links
         </button>
+        <button
+          style={{ ...styles.sectionBtn, borderLeft: 'none', ...(section === 'tags' ? styles.sectionBtnActive : {}) }}
+          onClick={() => setSection('tags')}>
+          Tags
+        </button>
+        <button
+          style={{ ...styles.sectionBtn, borderRadius: '0 8px 8px 0', borderLeft: 'none', ...(section === 'moderation' ? styles.sectionBtnActive : {}) }}
+          onClick={() => setSection('moderation')}>
+          Moderation
+        </button>
       </div>
 
       {error && section === 'analytics' && (
@@ -222,6 +234,10 @@ function App() {
 
       {section === 'artists' && <ArtistLinks />}
 
+      {section === 'tags' && <Tags />}
+
+      {section === 'moderation' && <Moderation />}
+
       {section === 'analytics' && (
         <>
           {loading && !summary ? (
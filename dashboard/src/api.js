@@ -164,6 +164,31 @@ export async function setFeatured(ids) {
   });
 }
 
+// ============================================
+// TAGS API
+// ============================================
+
+// Get the tag vocabulary, with how many listed designs carry each tag
+export async function getTags() {
+  return fetchWithAuth('/api/tags/admin');
+}
+
+// Replace the tag vocabulary (full overwrite; dropped tags leave every design)
+export async function setTags(tags) {
+  return fetchWithAuth('/api/tags/admin', {
+    method: 'POST',
+    body: JSON.stringify({ tags })
+  });
+}
+
+// Replace one design's tags
+export async function retagDesign(designId, tags) {
+  return fetchWithAuth('/api/admin/retag-design', {
+    method: 'POST',
+    body: JSON.stringify({ designId, tags })
+  });
+}
+
 // ============================================
 // ARTIST LINKS API
 // ============================================
@@ -189,3 +214,86 @@ export async function getArtistClicks({ days = 30, slug = null } = {}) {
 
   return fetchWithAuth(`/api/artists/clicks?${params}`);
 }
+
+// ============================================
+// MODERATION API
+// ============================================
+
+// Get the report queue, grouped by design ('open' or 'resolved')
+export async function getReports(status = 'open') {
+  return fetchWithAuth(`/api/admin/reports?status=${status}`);
+}
+
+// Act on a reported design: 'approve' | 'hide' | 'delete'
+export async function resolveReport(designId, action) {
+  return fetchWithAuth('/api/admin/reports/resolve', {
+    method: 'POST',
+    body: JSON.stringify({ designId, action })
+  });
+}
+
+// Soft-deleted designs waiting to be purged
+export async function getDeletedDesigns() {
+  return fetchWithAuth('/api/admin/deleted-designs');
+}
+
+// Undo a soft delete
+export async function restoreDesign(designId) {
+  return fetchWithAuth('/api/admin/restore-design', {
+    method: 'POST',
+    body: JSON.stringify({ designId })
+  });
+}
+
+// Admin images need a header, so <img> can't load them directly.
+// Returns an object URL (revoke it when done), or null if there is none.
+async function fetchImageObjectUrl(url) {
+  const adminKey = getAdminKey();
+  if (!adminKey) {
+    throw new Error('Admin key required');
+  }
+
+  const response = await fetch(url, {
+    headers: { 'x-admin-key': adminKey, 'Accept': 'image/avif,image/webp,image/*' }
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`API error: ${response.status}`);
+  }
+  return URL.createObjectURL(await response.blob());
+}
+
+// size: small (320px wide), medium (640px) or full
+export async function getThumbnailObjectUrl(designId, size = 'small') {
+  return fetchImageObjectUrl(`/api/admin/thumbnails/${designId}?size=${size}`);
+}
+
+// Uploads rejected by image/text moderation, newest first
+export async function getModerationRejections(page = 0, pageSize = 20, type = '') {
+  const params = new URLSearchParams({ page, pageSize });
+  if (type) params.set('type', type);
+  return fetchWithAuth(`/api/admin/moderation/rejections?${params}`);
+}
+
+export async function getModerationQueue() {
+  return fetchWithAuth('/api/admin/moderation/queue');
+}
+
+export async function getDuplicateClusters(distance) {
+  const params = distance === undefined ? '' : `?distance=${distance}`;
+  return fetchWithAuth(`/api/admin/moderation/duplicates${params}`);
+}
+
+export async function getRejectedThumbnailObjectUrl(rejectionId) {
+  return fetchImageObjectUrl(`/api/admin/moderation/rejections/${rejectionId}/thumbnail`);
+}
+
+// Publish a quarantined upload that was rejected by mistake
+export async function publishRejection(rejectionId) {
+  return fetchWithAuth(`/api/admin/moderation/rejections/${rejectionId}/publish`, { method: 'POST' });
+}
+
+// Uphold a rejection and delete the quarantined upload
+export async function dismissRejection(rejectionId) {
+  return fetchWithAuth(`/api/admin/moderation/rejections/${rejectionId}/dismiss`, { method: 'POST' });
+}
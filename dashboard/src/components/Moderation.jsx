@@ -0,0 +1,788 @@
+import React, { useState, useEffect } from 'react'
+import {
+  getReports,
+  resolveReport,
+  getThumbnailObjectUrl,
+  getDeletedDesigns,
+  restoreDesign,
+  getModerationRejections,
+  getModerationQueue,
+  getDuplicateClusters,
+  getRejectedThumbnailObjectUrl,
+  publishRejection,
+  dismissRejection,
+} from '../api'
+
+const styles = {
+  card: {
+    background: '#16181c',
+    borderRadius: '12px',
+    padding: '24px',
+    border: '1px solid #2f3336',
+    marginBottom: '24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '16px',
+  },
+  title: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#e7e9ea',
+  },
+  helpText: {
+    fontSize: '13px',
+    color: '#71767b',
+    marginBottom: '16px',
+    lineHeight: '1.6',
+  },
+  muted: {
+    color: '#71767b',
+    fontSize: '13px',
+  },
+  filterRow: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+  },
+  filterBtn: {
+    background: 'transparent',
+    border: '1px solid #2f3336',
+    color: '#71767b',
+    padding: '6px 14px',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px',
+  },
+  filterBtnActive: {
+    background: '#1d9bf0',
+    borderColor: '#1d9bf0',
+    color: '#fff',
+  },
+  item: {
+    display: 'grid',
+    gridTemplateColumns: '160px 1fr auto',
+    gap: '16px',
+    padding: '16px 0',
+    borderBottom: '1px solid #1c1f23',
+    alignItems: 'start',
+  },
+  thumb: {
+    width: '160px',
+    height: '90px',
+    objectFit: 'cover',
+    borderRadius: '8px',
+    background: '#0c0e10',
+    border: '1px solid #2f3336',
+  },
+  cluster: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    padding: '16px 0',
+    borderBottom: '1px solid #1c1f23',
+  },
+  clusterDesign: {
+    width: '160px',
+  },
+  thumbEmpty: {
+    width: '160px',
+    height: '90px',
+    borderRadius: '8px',
+    background: '#0c0e10',
+    border: '1px solid #2f3336',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    color: '#71767b',
+    fontSize: '12px',
+  },
+  designTitle: {
+    fontSize: '15px',
+    fontWeight: '600',
+    color: '#e7e9ea',
+    marginBottom: '4px',
+  },
+  badges: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    margin: '8px 0',
+  },
+  badge: {
+    background: '#2f3336',
+    color: '#e7e9ea',
+    borderRadius: '10px',
+    padding: '2px 10px',
+    fontSize: '12px',
+  },
+  hiddenBadge: {
+    background: '#67000d',
+    color: '#ff6b6b',
+  },
+  details: {
+    fontSize: '13px',
+    color: '#71767b',
+    lineHeight: '1.5',
+    marginTop: '4px',
+  },
+  actions: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  approveBtn: {
+    background: '#00ba7c',
+    border: 'none',
+    color: '#fff',
+    padding: '8px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  secondaryBtn: {
+    background: 'transparent',
+    border: '1px solid #2f3336',
+    color: '#e7e9ea',
+    padding: '8px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '13px',
+  },
+  deleteBtn: {
+    background: 'transparent',
+    border: '1px solid #2f3336',
+    color: '#ff6b6b',
+    padding: '8px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '13px',
+  },
+  status: { fontSize: '13px', color: '#71767b', marginBottom: '12px' },
+  statusSuccess: { color: '#00ba7c' },
+  statusError: { color: '#ff6b6b' },
+  error: {
+    background: '#67000d',
+    color: '#ff6b6b',
+    padding: '12px',
+    borderRadius: '8px',
+    marginBottom: '16px',
+    fontSize: '14px',
+  },
+  loading: { color: '#71767b', fontSize: '14px', padding: '20px 0' },
+  scoreTable: {
+    borderCollapse: 'collapse',
+    fontSize: '12px',
+    marginTop: '8px',
+  },
+  scoreCell: {
+    border: '1px solid #2f3336',
+    padding: '3px 8px',
+    color: '#e7e9ea',
+    textAlign: 'center',
+  },
+  scoreHeader: {
+    border: '1px solid #2f3336',
+    padding: '3px 8px',
+    color: '#71767b',
+    fontWeight: '500',
+  },
+  scoreFlagged: {
+    background: '#67000d',
+    color: '#ff6b6b',
+    fontWeight: '600',
+  },
+  pager: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+    marginTop: '16px',
+  },
+}
+
+const REASON_LABELS = {
+  inappropriate: 'Inappropriate',
+  offensive_text: 'Offensive text',
+  spam: 'Spam',
+  broken: 'Broken',
+  copyright: 'Copyright',
+  other: 'Other',
+}
+
+const VISIBILITY_LABELS = {
+  unlisted: 'Unlisted',
+  hidden: 'Hidden',
+  quarantined: 'Quarantined',
+}
+
+const HIDDEN_LABELS = {
+  reports: 'Auto-hidden (reports)',
+  moderator: 'Hidden by moderator',
+}
+
+function visibilityLabel(design) {
+  if (design.deleted_at) return 'Deleted'
+  if (design.visibility === 'hidden') return HIDDEN_LABELS[design.visibility_reason] || 'Hidden'
+  return VISIBILITY_LABELS[design.visibility]
+}
+
+// Pass designId for a design's thumbnail, rejectionId for a quarantined one
+function Thumbnail({ designId, rejectionId }) {
+  const [url, setUrl] = useState(null)
+  const [missing, setMissing] = useState(false)
+
+  useEffect(() => {
+    let objectUrl = null
+    let cancelled = false
+    const load = rejectionId ? getRejectedThumbnailObjectUrl(rejectionId) : getThumbnailObjectUrl(designId)
+    load
+      .then(result => {
+        if (cancelled) {
+          if (result) URL.revokeObjectURL(result)
+          return
+        }
+        objectUrl = result
+        setUrl(result)
+        setMissing(!result)
+      })
+      .catch(() => !cancelled && setMissing(true))
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [designId, rejectionId])
+
+  if (url) return <img src={url} alt="" style={styles.thumb} />
+  return <div style={styles.thumbEmpty}>{missing ? 'No thumbnail' : 'Loading…'}</div>
+}
+
+function Moderation() {
+  const [status, setStatus] = useState('open')
+  const [queue, setQueue] = useState([])
+  const [threshold, setThreshold] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [actionStatus, setActionStatus] = useState(null) // { type: 'success' | 'error', message: string }
+
+  const load = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await getReports(status)
+      setQueue(res.designs || [])
+      setThreshold(res.hide_threshold)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [status])
+
+  const handleAction = async (entry, action) => {
+    const title = entry.design.title || entry.design.id
+    if (action === 'delete' && !window.confirm(`Delete "${title}"? It can be restored below until it is purged.`)) {
+      return
+    }
+    try {
+      setBusyId(entry.design.id)
+      setActionStatus(null)
+      await resolveReport(entry.design.id, action)
+      const verb = { approve: 'approved', hide: 'hidden', delete: 'deleted' }[action]
+      setActionStatus({ type: 'success', message: `"${title}" ${verb}` })
+      await load()
+    } catch (err) {
+      setActionStatus({ type: 'error', message: err.message })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Reported Designs</h3>
+        <div style={styles.filterRow}>
+          {['open', 'resolved'].map(s => (
+            <button
+              key={s}
+              style={{ ...styles.filterBtn, ...(status === s ? styles.filterBtnActive : {}) }}
+              onClick={() => setStatus(s)}
+            >
+              {s === 'open' ? 'Open' : 'Resolved'}
+            </button>
+          ))}
+          <button style={styles.filterBtn} onClick={load} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <p style={styles.helpText}>
+        Designs players have reported, most reports first.
+        {threshold !== null && ` A design reported by ${threshold} different players is hidden from browse until you approve it.`}
+        {' '}Approve makes it visible again and closes its reports, Hide keeps it out of browse, Delete removes it for players and purges it later.
+      </p>
+
+      {error && <div style={styles.error}>Error: {error}</div>}
+
+      {actionStatus && (
+        <div style={{
+          ...styles.status,
+          ...(actionStatus.type === 'success' ? styles.statusSuccess : styles.statusError)
+        }}>
+          {actionStatus.message}
+        </div>
+      )}
+
+      {loading ? (
+        <div style={styles.loading}>Loading reports...</div>
+      ) : queue.length === 0 ? (
+        <div style={styles.muted}>{status === 'open' ? 'Nothing to review.' : 'No resolved reports yet.'}</div>
+      ) : (
+        queue.map(entry => (
+          <div key={entry.design.id} style={styles.item}>
+            <Thumbnail designId={entry.design.id} />
+
+            <div>
+              <div style={styles.designTitle}>{entry.design.title || 'Untitled Design'}</div>
+              <div style={styles.muted}>
+                by {entry.design.author_name || 'Anonymous'} · {entry.design.id}
+              </div>
+              <div style={styles.badges}>
+                <span style={styles.badge}>
+                  {entry.report_count} report{entry.report_count === 1 ? '' : 's'}
+                </span>
+                {Object.entries(entry.reasons).map(([reason, count]) => (
+                  <span key={reason} style={styles.badge}>
+                    {REASON_LABELS[reason] || reason}{count > 1 ? ` ×${count}` : ''}
+                  </span>
+                ))}
+                {visibilityLabel(entry.design) && (
+                  <span style={{ ...styles.badge, ...styles.hiddenBadge }}>
+                    {visibilityLabel(entry.design)}
+                  </span>
+                )}
+              </div>
+              {entry.reports.filter(r => r.details).slice(0, 3).map(r => (
+                <div key={r.id} style={styles.details}>
+                  “{r.details}” — {new Date(r.date).toLocaleString()}
+                </div>
+              ))}
+              <div style={styles.details}>
+                Last reported {new Date(entry.last_reported).toLocaleString()}
+              </div>
+            </div>
+
+            <div style={styles.actions}>
+              <button
+                style={styles.approveBtn}
+                onClick={() => handleAction(entry, 'approve')}
+                disabled={busyId === entry.design.id}
+              >
+                Approve
+              </button>
+              <button
+                style={styles.secondaryBtn}
+                onClick={() => handleAction(entry, 'hide')}
+                disabled={busyId === entry.design.id}
+              >
+                Hide
+              </button>
+              <button
+                style={styles.deleteBtn}
+                onClick={() => handleAction(entry, 'delete')}
+                disabled={busyId === entry.design.id}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+function DeletedDesigns() {
+  const [designs, setDesigns] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const load = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await getDeletedDesigns()
+      setDesigns(res.designs || [])
+      setRetentionDays(res.retention_days)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [])
+
+  const handleRestore = async (design) => {
+    try {
+      setBusyId(design.id)
+      await restoreDesign(design.id)
+      await load()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Recently Deleted</h3>
+        <button style={styles.filterBtn} onClick={load} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      <p style={styles.helpText}>
+        Deleted designs are gone for players right away
+        {retentionDays !== null && ` and purged for good after ${retentionDays} day${retentionDays === 1 ? '' : 's'}`}.
+        {' '}Until then they can be restored.
+      </p>
+
+      {error && <div style={styles.error}>Error: {error}</div>}
+
+      {loading ? (
+        <div style={styles.loading}>Loading deleted designs...</div>
+      ) : designs.length === 0 ? (
+        <div style={styles.muted}>No deleted designs.</div>
+      ) : (
+        designs.map(design => (
+          <div key={design.id} style={{ ...styles.item, gridTemplateColumns: '1fr auto' }}>
+            <div>
+              <div style={styles.designTitle}>{design.title || 'Untitled Design'}</div>
+              <div style={styles.muted}>
+                by {design.author_name || 'Anonymous'} · {design.id}
+              </div>
+              <div style={styles.details}>
+                Deleted by {design.deleted_by === 'owner' ? 'its author' : 'a moderator'} {new Date(design.deleted_at).toLocaleString()}
+                {' '}· purged {new Date(design.purge_after).toLocaleString()}
+              </div>
+            </div>
+            <div style={styles.actions}>
+              <button
+                style={styles.secondaryBtn}
+                onClick={() => handleRestore(design)}
+                disabled={busyId === design.id}
+              >
+                Restore
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+const REJECTIONS_PAGE_SIZE = 10
+
+// Per-tile category scores; cells at or above the threshold are highlighted
+function ScoreTable({ pieces, threshold }) {
+  const categories = [...new Set(pieces.flatMap(p => p.categories.map(c => c.category)))]
+  return (
+    <table style={styles.scoreTable}>
+      <thead>
+        <tr>
+          <th style={styles.scoreHeader}></th>
+          {categories.map(category => <th key={category} style={styles.scoreHeader}>{category}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {pieces.map(piece => (
+          <tr key={piece.label}>
+            <td style={styles.scoreHeader}>{piece.label}</td>
+            {categories.map(category => {
+              const severity = piece.categories.find(c => c.category === category)?.severity ?? 0
+              return (
+                <td
+                  key={category}
+                  style={{ ...styles.scoreCell, ...(severity >= threshold ? styles.scoreFlagged : {}) }}
+                >
+                  {severity}
+                </td>
+              )
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function Rejections() {
+  const [type, setType] = useState('')
+  const [page, setPage] = useState(0)
+  const [data, setData] = useState(null)
+  const [queue, setQueue] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [actionStatus, setActionStatus] = useState(null) // { type: 'success' | 'error', message: string }
+
+  const load = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [rejections, pending] = await Promise.all([
+        getModerationRejections(page, REJECTIONS_PAGE_SIZE, type),
+        getModerationQueue(),
+      ])
+      setData(rejections)
+      setQueue(pending)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [type, page])
+
+  const handleAction = async (rejection, action) => {
+    const title = rejection.title || rejection.design_id
+    if (action === 'publish' && !window.confirm(`Publish "${title}" despite the moderation verdict?`)) {
+      return
+    }
+    if (action === 'dismiss' && rejection.held && !window.confirm(`Uphold the rejection and delete "${title}"?`)) {
+      return
+    }
+    try {
+      setBusyId(rejection.id)
+      setActionStatus(null)
+      if (action === 'publish') {
+        await publishRejection(rejection.id)
+        setActionStatus({ type: 'success', message: `"${title}" published` })
+      } else {
+        await dismissRejection(rejection.id)
+        setActionStatus({ type: 'success', message: `Rejection of "${title}" upheld` })
+      }
+      await load()
+    } catch (err) {
+      setActionStatus({ type: 'error', message: err.message })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const rejections = data?.rejections || []
+  const lastPage = data ? Math.max(0, Math.ceil(data.total / REJECTIONS_PAGE_SIZE) - 1) : 0
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Rejected Uploads</h3>
+        <div style={styles.filterRow}>
+          {[['', 'All'], ['image', 'Image'], ['text', 'Text']].map(([value, label]) => (
+            <button
+              key={value}
+              style={{ ...styles.filterBtn, ...(type === value ? styles.filterBtnActive : {}) }}
+              onClick={() => { setType(value); setPage(0) }}
+            >
+              {label}
+            </button>
+          ))}
+          <button style={styles.filterBtn} onClick={load} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <p style={styles.helpText}>
+        Uploads that automatic moderation turned away, newest first.
+        {data && (data.quarantine_enabled
+          ? ' Quarantined uploads can be published if the rejection was a false positive, or dismissed to delete them.'
+          : ' Quarantine is off (MODERATION_QUARANTINE_KEY), so rejected thumbnails are not kept.')}
+        {' '}Held designs were stored before their thumbnail was flagged; they stay quarantined until reviewed.
+        {queue && queue.total > 0 && ` ${queue.total} design(s) still waiting for image moderation.`}
+      </p>
+
+      {error && <div style={styles.error}>Error: {error}</div>}
+
+      {actionStatus && (
+        <div style={{
+          ...styles.status,
+          ...(actionStatus.type === 'success' ? styles.statusSuccess : styles.statusError)
+        }}>
+          {actionStatus.message}
+        </div>
+      )}
+
+      {loading && !data ? (
+        <div style={styles.loading}>Loading rejections...</div>
+      ) : rejections.length === 0 ? (
+        <div style={styles.muted}>No rejected uploads.</div>
+      ) : (
+        rejections.map(rejection => (
+          <div key={rejection.id || rejection.date} style={styles.item}>
+            {rejection.quarantined && rejection.type === 'image'
+              ? <Thumbnail rejectionId={rejection.id} />
+              : <div style={styles.thumbEmpty}>{rejection.type === 'text' ? 'Text rejection' : 'Not kept'}</div>}
+
+            <div>
+              <div style={styles.designTitle}>{rejection.title || 'Untitled Design'}</div>
+              <div style={styles.muted}>
+                by {rejection.author_name || 'Anonymous'} · {rejection.design_id}
+              </div>
+              <div style={styles.badges}>
+                <span style={styles.badge}>{rejection.type === 'text' ? 'Text' : 'Image'}</span>
+                {rejection.held && <span style={styles.badge}>Held</span>}
+                {rejection.provider && <span style={styles.badge}>{rejection.provider}</span>}
+                {rejection.review && (
+                  <span style={{ ...styles.badge, ...(rejection.review.action === 'published' ? {} : styles.hiddenBadge) }}>
+                    {rejection.review.action === 'published' ? 'Published' : 'Upheld'}
+                  </span>
+                )}
+              </div>
+              {rejection.reason && <div style={styles.details}>{rejection.reason}</div>}
+              {rejection.pieces?.length > 0 && (
+                <ScoreTable pieces={rejection.pieces} threshold={data.severity_threshold} />
+              )}
+              {!rejection.pieces && rejection.categories && (
+                <ScoreTable pieces={[{ label: 'flagged', categories: rejection.categories }]} threshold={data.severity_threshold} />
+              )}
+              <div style={styles.details}>
+                Rejected {new Date(rejection.date).toLocaleString()}
+              </div>
+            </div>
+
+            <div style={styles.actions}>
+              {rejection.reviewable && (
+                <>
+                  <button
+                    style={styles.approveBtn}
+                    onClick={() => handleAction(rejection, 'publish')}
+                    disabled={busyId === rejection.id}
+                  >
+                    Override &amp; publish
+                  </button>
+                  <button
+                    style={styles.secondaryBtn}
+                    onClick={() => handleAction(rejection, 'dismiss')}
+                    disabled={busyId === rejection.id}
+                  >
+                    Dismiss
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+
+      {data && data.total > REJECTIONS_PAGE_SIZE && (
+        <div style={styles.pager}>
+          <button style={styles.filterBtn} onClick={() => setPage(page - 1)} disabled={page === 0 || loading}>
+            Previous
+          </button>
+          <span style={styles.muted}>Page {page + 1} of {lastPage + 1}</span>
+          <button style={styles.filterBtn} onClick={() => setPage(page + 1)} disabled={page >= lastPage || loading}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Designs uploaded several times under different IDs, grouped by
+// near-identical thumbnails
+function DuplicateClusters() {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const load = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      setData(await getDuplicateClusters())
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [])
+
+  const clusters = data?.clusters || []
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>Duplicate Thumbnails</h3>
+        <button style={styles.filterBtn} onClick={load} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      <p style={styles.helpText}>
+        Designs whose thumbnails are near-identical, oldest upload first. Uploads matching a quarantined,
+        rejected or moderator-deleted thumbnail are already turned away; these are the ones that got through.
+      </p>
+
+      {error && <div style={styles.error}>Error: {error}</div>}
+
+      {loading && !data ? (
+        <div style={styles.loading}>Looking for duplicates...</div>
+      ) : clusters.length === 0 ? (
+        <div style={styles.muted}>No duplicate thumbnails.</div>
+      ) : (
+        clusters.map(cluster => (
+          <div key={cluster.designs[0].id}>
+            <div style={styles.details}>
+              {cluster.size} designs · {cluster.uploaders} uploader{cluster.uploaders === 1 ? '' : 's'}
+            </div>
+            <div style={styles.cluster}>
+              {cluster.designs.map(design => (
+                <div key={design.id} style={styles.clusterDesign}>
+                  <Thumbnail designId={design.id} />
+                  <div style={styles.designTitle}>{design.title || 'Untitled Design'}</div>
+                  <div style={styles.muted}>by {design.author_name || 'Anonymous'}</div>
+                  <div style={styles.badges}>
+                    {visibilityLabel(design) && <span style={{ ...styles.badge, ...styles.hiddenBadge }}>{visibilityLabel(design)}</span>}
+                    <span style={styles.badge}>{design.download_count} downloads</span>
+                  </div>
+                  <div style={styles.details}>{new Date(design.upload_date).toLocaleDateString()}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+function ModerationSection() {
+  return (
+    <>
+      <Moderation />
+      <Rejections />
+      <DuplicateClusters />
+      <DeletedDesigns />
+    </>
+  )
+}
+
+export default ModerationSection
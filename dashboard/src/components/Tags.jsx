@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react'
+import { getTags, setTags, retagDesign } from '../api'
+
+const styles = {
+  card: {
+    background: '#16181c',
+    borderRadius: '12px',
+    padding: '24px',
+    border: '1px solid #2f3336',
+    marginBottom: '24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '16px',
+  },
+  title: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#e7e9ea',
+  },
+  count: {
+    fontSize: '14px',
+    color: '#71767b',
+  },
+  helpText: {
+    fontSize: '13px',
+    color: '#71767b',
+    marginBottom: '12px',
+    lineHeight: '1.5',
+  },
+  layout: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(360px, 1fr))',
+    gap: '24px',
+  },
+  textarea: {
+    width: '100%',
+    minHeight: '280px',
+    background: '#0c0e10',
+    color: '#e7e9ea',
+    border: '1px solid #2f3336',
+    borderRadius: '8px',
+    padding: '12px',
+    fontFamily: 'Menlo, Consolas, monospace',
+    fontSize: '13px',
+    boxSizing: 'border-box',
+    resize: 'vertical',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '14px',
+  },
+  th: {
+    textAlign: 'left',
+    color: '#71767b',
+    fontWeight: '500',
+    fontSize: '13px',
+    padding: '8px 12px 8px 0',
+    borderBottom: '1px solid #2f3336',
+  },
+  td: {
+    padding: '8px 12px 8px 0',
+    color: '#e7e9ea',
+    borderBottom: '1px solid #1c1f23',
+  },
+  mono: {
+    fontFamily: 'Menlo, Consolas, monospace',
+    fontSize: '13px',
+  },
+  input: {
+    width: '100%',
+    background: '#0c0e10',
+    color: '#e7e9ea',
+    border: '1px solid #2f3336',
+    borderRadius: '8px',
+    padding: '10px 12px',
+    fontFamily: 'Menlo, Consolas, monospace',
+    fontSize: '13px',
+    boxSizing: 'border-box',
+    marginBottom: '12px',
+  },
+  actions: {
+    display: 'flex',
+    gap: '12px',
+    marginTop: '16px',
+    alignItems: 'center',
+  },
+  saveBtn: {
+    background: '#1d9bf0',
+    border: 'none',
+    color: '#fff',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '600',
+  },
+  saveBtnDisabled: {
+    background: '#2f3336',
+    color: '#71767b',
+    cursor: 'not-allowed',
+  },
+  refreshBtn: {
+    background: 'transparent',
+    border: '1px solid #2f3336',
+    color: '#e7e9ea',
+    padding: '10px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '14px',
+  },
+  status: {
+    fontSize: '13px',
+    color: '#71767b',
+  },
+  statusSuccess: { color: '#00ba7c' },
+  statusError: { color: '#ff6b6b' },
+  error: {
+    background: '#67000d',
+    color: '#ff6b6b',
+    padding: '12px',
+    borderRadius: '8px',
+    marginBottom: '16px',
+    fontSize: '14px',
+  },
+  loading: {
+    color: '#71767b',
+    fontSize: '14px',
+    padding: '20px 0',
+  },
+}
+
+// One tag per line, "tag | Label" or just "tag" (the label defaults to the
+// tag). Lines starting with # are notes.
+function formatVocabulary(tags) {
+  return tags.map(t => (t.label && t.label !== t.tag ? `${t.tag} | ${t.label}` : t.tag)).join('\n')
+}
+
+function parseVocabulary(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .map(line => {
+      const [tag, ...label] = line.split('|')
+      return { tag: tag.trim(), label: label.join('|').trim() }
+    })
+}
+
+function StatusText({ status }) {
+  if (!status) return null
+  return (
+    <span style={{
+      ...styles.status,
+      ...(status.type === 'success' ? styles.statusSuccess : styles.statusError)
+    }}>
+      {status.message}
+    </span>
+  )
+}
+
+function Tags() {
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [tags, setTagList] = useState([])
+  const [text, setText] = useState('')
+  const [originalText, setOriginalText] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [status, setStatus] = useState(null) // { type: 'success' | 'error', message: string }
+  const [designId, setDesignId] = useState('')
+  const [designTags, setDesignTags] = useState('')
+  const [retagging, setRetagging] = useState(false)
+  const [retagStatus, setRetagStatus] = useState(null)
+
+  const load = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const res = await getTags()
+      const list = res.tags || []
+      setTagList(list)
+      setText(formatVocabulary(list))
+      setOriginalText(formatVocabulary(list))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [])
+
+  const vocabulary = parseVocabulary(text)
+  const dirty = text !== originalText
+  const canSave = dirty && !saving
+
+  const handleSave = async () => {
+    // Dropping a tag also strips it from every design, so say so first
+    const kept = new Set(vocabulary.map(t => t.tag.toLowerCase()))
+    const removed = tags.filter(t => !kept.has(t.tag))
+    if (removed.length > 0 && !window.confirm(
+      `Remove ${removed.map(t => t.tag).join(', ')} from the vocabulary and from every design that has ${removed.length === 1 ? 'it' : 'them'}?`
+    )) {
+      return
+    }
+
+    try {
+      setSaving(true)
+      setStatus(null)
+      const res = await setTags(vocabulary)
+      await load()
+      setStatus({
+        type: 'success',
+        message: `Saved ${res.count} tag${res.count === 1 ? '' : 's'}` +
+          (res.removed.length > 0 ? `, removed from ${res.designs_updated} design${res.designs_updated === 1 ? '' : 's'}` : '')
+      })
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRetag = async () => {
+    try {
+      setRetagging(true)
+      setRetagStatus(null)
+      const list = designTags.split(',').map(t => t.trim()).filter(Boolean)
+      const res = await retagDesign(designId.trim(), list)
+      setRetagStatus({
+        type: 'success',
+        message: `Tags changed from [${res.tags.old.join(', ')}] to [${res.tags.new.join(', ')}]`
+      })
+      load()
+    } catch (err) {
+      setRetagStatus({ type: 'error', message: err.message })
+    } finally {
+      setRetagging(false)
+    }
+  }
+
+  const canRetag = designId.trim().length > 0 && !retagging
+
+  return (
+    <>
+      <div style={styles.card}>
+        <div style={styles.header}>
+          <h3 style={styles.title}>Tag Vocabulary</h3>
+          <span style={styles.count}>{vocabulary.length} tag{vocabulary.length === 1 ? '' : 's'}</span>
+        </div>
+
+        <p style={styles.helpText}>
+          The tags players can put on their designs and filter browse by. One tag per line,
+          as <code style={{color:'#e7e9ea'}}>tag | Label</code> or just <code style={{color:'#e7e9ea'}}>tag</code>:
+          lowercase letters and numbers joined by <code style={{color:'#e7e9ea'}}>-</code> or <code style={{color:'#e7e9ea'}}>:</code>.
+          Save replaces the entire vocabulary; a tag that is left out is removed from every design.
+        </p>
+
+        {error && <div style={styles.error}>Error: {error}</div>}
+
+        {loading ? (
+          <div style={styles.loading}>Loading tags...</div>
+        ) : (
+          <div style={styles.layout}>
+            <div>
+              <textarea
+                style={styles.textarea}
+                value={text}
+                onChange={e => setText(e.target.value)}
+                placeholder={'# One tag per line\ncozy | Cozy\nmodern | Modern'}
+                spellCheck={false}
+              />
+              <div style={styles.actions}>
+                <button
+                  style={{ ...styles.saveBtn, ...(canSave ? {} : styles.saveBtnDisabled) }}
+                  onClick={handleSave}
+                  disabled={!canSave}
+                >
+                  {saving ? 'Saving…' : dirty ? 'Save Changes' : 'No Changes'}
+                </button>
+                <button style={styles.refreshBtn} onClick={load} disabled={saving}>
+                  Reload from server
+                </button>
+                <StatusText status={status} />
+              </div>
+            </div>
+
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Tag</th>
+                  <th style={styles.th}>Label</th>
+                  <th style={styles.th}>Listed designs</th>
+                </tr>
+              </thead>
+              <tbody>
+                {tags.map(t => (
+                  <tr key={t.tag}>
+                    <td style={{ ...styles.td, ...styles.mono }}>{t.tag}</td>
+                    <td style={styles.td}>{t.label}</td>
+                    <td style={styles.td}>{t.count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div style={styles.card}>
+        <div style={styles.header}>
+          <h3 style={styles.title}>Retag a Design</h3>
+        </div>
+
+        <p style={styles.helpText}>
+          Replaces a design's tags. Tags must be in the vocabulary above; leave the tags empty
+          to clear them.
+        </p>
+
+        <input
+          style={styles.input}
+          value={designId}
+          onChange={e => setDesignId(e.target.value)}
+          placeholder="Design ID"
+          spellCheck={false}
+        />
+        <input
+          style={styles.input}
+          value={designTags}
+          onChange={e => setDesignTags(e.target.value)}
+          placeholder="cozy, modern"
+          spellCheck={false}
+        />
+        <div style={styles.actions}>
+          <button
+            style={{ ...styles.saveBtn, ...(canRetag ? {} : styles.saveBtnDisabled) }}
+            onClick={handleRetag}
+            disabled={!canRetag}
+          >
+            {retagging ? 'Saving…' : 'Set Tags'}
+          </button>
+          <StatusText status={retagStatus} />
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default Tags
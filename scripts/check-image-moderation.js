@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+// End-to-end check of thumbnail moderation against the local stub
+// (scripts/moderation-stub.js). Boots the stub and the server on free ports
+// with a throwaway storage directory, uploads a design per scenario and
+// checks the verdict the background worker reaches:
+//
+//   clean            every piece scores 0       -> published, full frame + 2x2 tiles analyzed
+//   flagged tile     one tile scores Sexual=6   -> rejected, reason names the tile
+//   flagged frame    full frame scores 6        -> rejected on the first piece
+//   provider down    stub answers 503           -> stays pending_review (MODERATION_FAIL_CLOSED=1)
+//
+// Run with: npm run check:moderation (needs sharp to draw the thumbnail)
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN_KEY = 'check-moderation';
+const VERDICT_TIMEOUT_MS = 10000;
+
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (error) {
+  console.error('sharp is not installed; it is needed to draw the test thumbnail');
+  process.exit(1);
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Smallest save the server accepts: a UE5 SaveGame header plus a few bytes
+function buildSave() {
+  const parts = [Buffer.from('GVAS')];
+  const int32 = value => { const b = Buffer.alloc(4); b.writeInt32LE(value); parts.push(b); };
+  const uint16 = value => { const b = Buffer.alloc(2); b.writeUInt16LE(value); parts.push(b); };
+  const fstring = text => { int32(text.length + 1); parts.push(Buffer.from(`${text}\0`, 'latin1')); };
+  int32(3); int32(522); int32(1009);
+  uint16(5); uint16(3); uint16(2); int32(29314046); fstring('++UE5+Release-5.3');
+  int32(3); int32(0);
+  fstring('/Script/SmallSpaces.SmallSpacesSaveGame');
+  parts.push(crypto.randomBytes(64));
+  return Buffer.concat(parts).toString('base64');
+}
+
+function start(name, script, env) {
+  const child = spawn(process.execPath, [script], { cwd: ROOT, env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  child.output = () => output;
+  child.label = name;
+  return child;
+}
+
+async function waitFor(url) {
+  for (let i = 0; i < 100; i++) {
+    try {
+      const response = await fetch(url);
+      if (response.status < 500) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await sleep(100);
+  }
+  throw new Error(`${url} did not come up`);
+}
+
+async function main() {
+  const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-check-'));
+  const stubPort = await freePort();
+  const serverPort = await freePort();
+  const stubUrl = `http://127.0.0.1:${stubPort}`;
+  const serverUrl = `http://127.0.0.1:${serverPort}`;
+  const children = [];
+  let failures = 0;
+
+  const check = (ok, message) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${message}`);
+    if (!ok) failures++;
+  };
+
+  try {
+    children.push(start('stub', 'scripts/moderation-stub.js', { PORT: String(stubPort), STUB_SEVERITIES: '{}' }));
+    children.push(start('server', 'server.js', {
+      PORT: String(serverPort),
+      RAILWAY_VOLUME_MOUNT_PATH: storage,
+      ADMIN_RESET_KEY: ADMIN_KEY,
+      GAME_API_KEY: '',
+      IMAGE_MODERATION_PROVIDER: 'stub',
+      IMAGE_MODERATION_STUB_URL: stubUrl,
+      MODERATION_TILE_GRID: '2x2',
+      MODERATION_FAIL_CLOSED: '1'
+    }));
+    await waitFor(`${stubUrl}/calls`);
+    await waitFor(`${serverUrl}/api/health`);
+
+    const saveData = buildSave();
+    const thumbnail = (await sharp({ create: { width: 400, height: 300, channels: 3, background: '#888888' } }).png().toBuffer()).toString('base64');
+
+    const stub = (method, pathname, body) => fetch(`${stubUrl}${pathname}`, { method, body: body && JSON.stringify(body) }).then(r => r.json());
+    const admin = pathname => fetch(`${serverUrl}${pathname}`, { headers: { 'x-admin-key': ADMIN_KEY } }).then(r => r.json());
+
+    // Uploads a design with the stub set to `severities`; resolves to the
+    // status the worker settles on, with the pieces the stub was shown
+    const moderate = async (title, severities) => {
+      await stub('PUT', '/severities', severities);
+      await stub('DELETE', '/calls');
+      const response = await fetch(`${serverUrl}/api/designs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title, saveData, thumbnail })
+      });
+      const upload = await response.json();
+      if (upload.status !== 'pending_review') throw new Error(`${title}: upload was not queued (${JSON.stringify(upload)})`);
+
+      const deadline = Date.now() + VERDICT_TIMEOUT_MS;
+      let status = 'pending_review';
+      while (Date.now() < deadline) {
+        const { queue } = await admin('/api/admin/moderation/queue');
+        const job = queue.find(j => j.design_id === upload.design_id);
+        // Settled once the job is gone, or has failed and is waiting to retry
+        if (!job || job.last_error) {
+          status = (await fetch(`${serverUrl}/api/designs/${upload.design_id}/status`).then(r => r.json())).status || 'gone';
+          break;
+        }
+        await sleep(100);
+      }
+      const { calls } = await stub('GET', '/calls');
+      return { designId: upload.design_id, status, calls };
+    };
+
+    const allPieces = ['full', 'tile 0,0', 'tile 1,0', 'tile 0,1', 'tile 1,1'];
+
+    const clean = await moderate('Clean', { '*': {} });
+    check(clean.status === 'published', `clean thumbnail is published (got ${clean.status})`);
+    check(JSON.stringify(clean.calls) === JSON.stringify(allPieces), `full frame and 2x2 tiles analyzed (got ${clean.calls.join(', ')})`);
+
+    const tile = await moderate('Flagged tile', { '*': {}, 'tile 1,1': { Sexual: 6 } });
+    check(tile.status === 'rejected', `thumbnail with a flagged tile is rejected (got ${tile.status})`);
+    const { rejections } = await admin('/api/admin/moderation/rejections');
+    const rejection = rejections.find(r => r.design_id === tile.designId);
+    check(!!rejection && rejection.reason.includes('[tile 1,1]'), `rejection names the flagged tile (got ${rejection && rejection.reason})`);
+
+    const frame = await moderate('Flagged frame', { '*': { Violence: 6 } });
+    check(frame.status === 'rejected', `thumbnail with a flagged full frame is rejected (got ${frame.status})`);
+    check(JSON.stringify(frame.calls) === '["full"]', `tiles are skipped once the full frame is flagged (got ${frame.calls.join(', ')})`);
+
+    const down = await moderate('Provider down', { '*': { status: 503 } });
+    check(down.status === 'pending_review', `design stays pending while the provider fails (got ${down.status})`);
+  } catch (error) {
+    console.error(`FAIL ${error.message}`);
+    failures++;
+  } finally {
+    for (const child of children) {
+      child.kill();
+      if (failures > 0) console.error(`--- ${child.label} output ---\n${child.output()}`);
+    }
+    await sleep(200);
+    fs.rmSync(storage, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? 'Image moderation check passed' : `Image moderation check failed (${failures})`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
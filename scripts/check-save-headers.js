@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+// End-to-end check of save header validation. Boots the server on a free
+// port with a throwaway storage directory and uploads one fixture per case:
+// a SaveGame header for each custom version format (ECustomVersionSerializationFormat)
+// and a few the server must turn away. An accepted save has to come back with
+// the right custom version count and save game class, which only happens when
+// every entry was read with the right layout:
+//
+//   format 1 (Guids)      16-byte GUID, int32 version, FString friendly name
+//   format 2 (Enums)      int32 tag, int32 version
+//   format 3 (Optimized)  16-byte GUID, int32 version
+//
+// Run with: npm run check:save-headers
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SAVE_GAME_CLASS = '/Script/SmallSpaces.SmallSpacesSaveGame';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(url) {
+  for (let i = 0; i < 100; i++) {
+    try {
+      const response = await fetch(url);
+      if (response.status < 500) return;
+    } catch (error) {
+      // not listening yet
+    }
+    await sleep(100);
+  }
+  throw new Error(`${url} did not come up`);
+}
+
+// Builds a save: the UE5 header up to the custom versions, then `customVersions`
+// (called with the writers to lay out the list), the class name and some data
+function buildSave(customVersions) {
+  const parts = [Buffer.from('GVAS')];
+  const writer = {
+    int32: value => { const b = Buffer.alloc(4); b.writeInt32LE(value); parts.push(b); },
+    uint16: value => { const b = Buffer.alloc(2); b.writeUInt16LE(value); parts.push(b); },
+    guid: index => parts.push(Buffer.alloc(16, index + 1)),
+    fstring: text => { writer.int32(text.length + 1); parts.push(Buffer.from(`${text}\0`, 'latin1')); }
+  };
+  writer.int32(3); writer.int32(522); writer.int32(1009);
+  writer.uint16(5); writer.uint16(3); writer.uint16(2); writer.int32(29314046); writer.fstring('++UE5+Release-5.3');
+  customVersions(writer);
+  writer.fstring(SAVE_GAME_CLASS);
+  parts.push(Buffer.alloc(64, 0xab));
+  return Buffer.concat(parts);
+}
+
+const FIXTURES = [
+  {
+    name: 'format 1 (Guids)',
+    save: buildSave(w => {
+      w.int32(1); w.int32(2);
+      w.guid(0); w.int32(7); w.fstring('SmallSpacesVersion');
+      w.guid(1); w.int32(12); w.fstring('FortniteMainBranchObjectVersion');
+    }),
+    customVersions: 2
+  },
+  {
+    name: 'format 2 (Enums)',
+    save: buildSave(w => {
+      w.int32(2); w.int32(3);
+      w.int32(0); w.int32(7);
+      w.int32(1); w.int32(12);
+      w.int32(2); w.int32(1);
+    }),
+    customVersions: 3
+  },
+  {
+    name: 'format 3 (Optimized)',
+    save: buildSave(w => {
+      w.int32(3); w.int32(2);
+      w.guid(0); w.int32(7);
+      w.guid(1); w.int32(12);
+    }),
+    customVersions: 2
+  },
+  {
+    name: 'format 3 with no entries',
+    save: buildSave(w => { w.int32(3); w.int32(0); }),
+    customVersions: 0
+  },
+  {
+    name: 'format 0 (Unknown)',
+    save: buildSave(w => { w.int32(0); w.int32(0); }),
+    reject: 'unsupported custom version format 0'
+  },
+  {
+    name: 'format 4',
+    save: buildSave(w => { w.int32(4); w.int32(0); }),
+    reject: 'unsupported custom version format 4'
+  },
+  {
+    name: 'format 1 entry without its name',
+    save: buildSave(w => { w.int32(1); w.int32(1); w.guid(0); w.int32(7); }),
+    reject: 'string in header is too long' // The class name is read as the entry's name
+  },
+  {
+    name: 'negative custom version count',
+    save: buildSave(w => { w.int32(3); w.int32(-1); }),
+    reject: 'invalid custom version count -1'
+  }
+];
+
+async function main() {
+  const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'save-header-check-'));
+  const serverUrl = `http://127.0.0.1:${await freePort()}`;
+  let server = null;
+  let output = '';
+  let failures = 0;
+
+  const check = (ok, message) => {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${message}`);
+    if (!ok) failures++;
+  };
+
+  try {
+    server = spawn(process.execPath, ['server.js'], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        PORT: new URL(serverUrl).port,
+        RAILWAY_VOLUME_MOUNT_PATH: storage,
+        GAME_API_KEY: '',
+        IMAGE_MODERATION_PROVIDER: 'none'
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stdout.on('data', chunk => { output += chunk; });
+    server.stderr.on('data', chunk => { output += chunk; });
+    await waitFor(`${serverUrl}/api/health`);
+
+    for (const fixture of FIXTURES) {
+      const response = await fetch(`${serverUrl}/api/designs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: fixture.name, saveData: fixture.save.toString('base64') })
+      });
+      const body = await response.json();
+
+      if (fixture.reject) {
+        check(response.status === 400 && body.reason === fixture.reject,
+          `${fixture.name} is rejected (got ${response.status} ${body.reason || body.error})`);
+        continue;
+      }
+      if (response.status !== 200) {
+        check(false, `${fixture.name} is accepted (got ${response.status} ${body.reason || body.error})`);
+        continue;
+      }
+      const { designs } = await fetch(`${serverUrl}/api/designs?limit=100`).then(r => r.json());
+      const header = (designs.find(d => d.id === body.design_id) || {}).save_header || {};
+      check(header.custom_versions === fixture.customVersions && header.save_game_class === SAVE_GAME_CLASS,
+        `${fixture.name} is accepted with ${fixture.customVersions} custom version(s) (got ${header.custom_versions}, ${header.save_game_class})`);
+    }
+  } catch (error) {
+    console.error(`FAIL ${error.message}`);
+    failures++;
+  } finally {
+    if (server) server.kill();
+    if (failures > 0) console.error(`--- server output ---\n${output}`);
+    await sleep(200);
+    fs.rmSync(storage, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? 'Save header check passed' : `Save header check failed (${failures})`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
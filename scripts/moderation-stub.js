@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+// Local stand-in for Azure AI Content Safety's image:analyze endpoint, so CI
+// and local dev can exercise thumbnail moderation (including the tile grid)
+// deterministically. Point the server at it with:
+//
+//   IMAGE_MODERATION_PROVIDER=stub IMAGE_MODERATION_STUB_URL=http://127.0.0.1:4010
+//
+// The server sends the piece label ('full', 'tile 0,0', 'tile 1,0', ...) in
+// the x-moderation-piece header. Severities are configured per label, with
+// '*' as the fallback; any category left out scores 0. A piece can also be
+// made to fail with { "status": 503 }:
+//
+//   STUB_SEVERITIES='{"*": {}, "tile 1,0": {"Sexual": 6}, "tile 0,1": {"status": 429}}'
+//
+// Endpoints:
+//   POST /contentsafety/image:analyze   Azure-shaped response for one piece
+//   PUT  /severities                    replace the severity config (JSON body)
+//   GET  /calls                         piece labels analyzed so far
+//   DELETE /calls                       clear that list
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT || '4010', 10);
+const CATEGORIES = ['Hate', 'SelfHarm', 'Sexual', 'Violence'];
+
+let severities = parseSeverities(process.env.STUB_SEVERITIES || '{}');
+let calls = [];
+
+function parseSeverities(json) {
+  const parsed = JSON.parse(json);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('severities must be a JSON object keyed by piece label');
+  }
+  return parsed;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const body = await readBody(req);
+
+    if (req.method === 'POST' && url.pathname === '/contentsafety/image:analyze') {
+      const label = req.headers['x-moderation-piece'] || 'full';
+      calls.push(label);
+      if (!JSON.parse(body || '{}').image?.content) {
+        return send(res, 400, { error: { code: 'InvalidRequestBody', message: 'image.content is required' } });
+      }
+
+      const config = severities[label] || severities['*'] || {};
+      if (config.status) {
+        console.log(`${label}: responding ${config.status}`);
+        return send(res, config.status, { error: { code: 'StubError', message: `Configured failure for ${label}` } });
+      }
+
+      const categoriesAnalysis = CATEGORIES.map(category => ({ category, severity: config[category] || 0 }));
+      console.log(`${label}: ${categoriesAnalysis.map(c => `${c.category}=${c.severity}`).join(', ')}`);
+      return send(res, 200, { categoriesAnalysis });
+    }
+
+    if (req.method === 'PUT' && url.pathname === '/severities') {
+      severities = parseSeverities(body);
+      console.log('Severities updated:', JSON.stringify(severities));
+      return send(res, 200, { ok: true, severities });
+    }
+
+    if (url.pathname === '/calls') {
+      if (req.method === 'DELETE') calls = [];
+      return send(res, 200, { calls });
+    }
+
+    send(res, 404, { error: 'Not found' });
+  } catch (error) {
+    send(res, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Moderation stub listening on http://127.0.0.1:${PORT}`);
+  console.log('Severities:', JSON.stringify(severities));
+});
@@ -4,9 +4,13 @@ const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
+const Database = require('better-sqlite3');
 
 // ID format validation — accepts both standard UUIDs (with dashes) and UE-style GUIDs (32 hex chars)
 // Prevents path traversal and injection via IDs
@@ -42,6 +46,17 @@ try {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Requests arrive through TRUST_PROXY_HOPS reverse proxies (Railway's edge is
+// one), so req.ip is the address the outermost of them saw, not an
+// X-Forwarded-For entry the client wrote itself. 0 when nothing proxies.
+const TRUST_PROXY_HOPS = Math.max(0, parseInt(process.env.TRUST_PROXY_HOPS || '1', 10) || 0);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+// The client's IP, for rate limits and hashed visitor keys
+function clientIp(req) {
+    return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
 // Environment-based configuration
 const isDevelopment = process.env.NODE_ENV !== 'production';
 
@@ -50,8 +65,8 @@ const corsOptions = {
     origin: isDevelopment
         ? ['http://localhost:3000', 'http://127.0.0.1:3000']
         : process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : false,
-    methods: ['GET', 'POST', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'x-admin-key', 'x-api-key'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'x-admin-key', 'x-api-key', 'x-owner-token', 'x-design-metadata', 'x-chunk-sha256'],
 };
 
 // Security middleware
@@ -74,36 +89,42 @@ const apiLimiter = rateLimit({
 });
 app.use('/api/', apiLimiter);
 
-// Stricter rate limit for write endpoints only (POST/DELETE, not GET)
+// Stricter rate limit for write endpoints only (POST/DELETE, not GET). Chunk
+// PUTs of a resumable upload are bounded by their session instead.
 const writeLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 30,
     standardHeaders: true,
     legacyHeaders: false,
     message: { error: 'Too many upload requests, please try again later' },
-    skip: (req) => req.method === 'GET'
+    skip: (req) => req.method === 'GET' || req.method === 'PUT'
 });
 app.use('/api/designs', writeLimiter);
 app.use('/api/crashes', writeLimiter);
 
-// Shared admin authentication middleware — uses timing-safe comparison to prevent side-channel attacks
-function requireAdmin(req, res, next) {
+// True if the request carries the configured admin key. Uses timing-safe
+// comparison to prevent side-channel attacks.
+function hasValidAdminKey(req) {
     const adminKey = req.headers['x-admin-key'];
     const expectedKey = process.env.ADMIN_RESET_KEY;
-
-    if (!expectedKey) {
-        console.error('ADMIN_RESET_KEY not set — admin endpoints disabled');
-        return res.status(503).json({ error: 'Admin endpoints not configured' });
-    }
-
-    if (!adminKey || typeof adminKey !== 'string') {
-        return res.status(403).json({ error: 'Invalid admin key' });
+    if (!expectedKey || !adminKey || typeof adminKey !== 'string') {
+        return false;
     }
 
     // Constant-time comparison prevents timing attacks that could leak the key
     const keyBuffer = Buffer.from(adminKey);
     const expectedBuffer = Buffer.from(expectedKey);
-    if (keyBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(keyBuffer, expectedBuffer)) {
+    return keyBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(keyBuffer, expectedBuffer);
+}
+
+// Shared admin authentication middleware
+function requireAdmin(req, res, next) {
+    if (!process.env.ADMIN_RESET_KEY) {
+        console.error('ADMIN_RESET_KEY not set — admin endpoints disabled');
+        return res.status(503).json({ error: 'Admin endpoints not configured' });
+    }
+
+    if (!hasValidAdminKey(req)) {
         return res.status(403).json({ error: 'Invalid admin key' });
     }
 
@@ -116,8 +137,9 @@ function requireApiKey(req, res, next) {
     const apiKey = req.headers['x-api-key'];
     const expectedKey = process.env.GAME_API_KEY;
 
-    // If no key configured, skip check (backwards compatible / development)
-    if (!expectedKey) {
+    // If no key configured, skip check (backwards compatible / development).
+    // Admins (the dashboard) can use the player endpoints with their own key.
+    if (!expectedKey || hasValidAdminKey(req)) {
         return next();
     }
 
@@ -300,7 +322,23 @@ if (fs.existsSync(DASHBOARD_DIR)) {
 const STORAGE_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, 'storage');
 const DESIGNS_DIR = path.join(STORAGE_DIR, 'designs');
 const THUMBNAILS_DIR = path.join(STORAGE_DIR, 'thumbnails');
+// Smaller and WebP/AVIF versions of each thumbnail, one directory per design
+const THUMBNAIL_RENDITIONS_DIR = path.join(STORAGE_DIR, 'thumbnail_renditions');
+const REVISIONS_DIR = path.join(STORAGE_DIR, 'revisions');
+// Encrypted copies of uploads rejected by moderation (MODERATION_QUARANTINE_KEY)
+const QUARANTINE_DIR = path.join(STORAGE_DIR, 'quarantine');
+// Thumbnails as uploaded, kept for the image moderation worker until it has
+// a verdict (the stored thumbnail is re-encoded and may be downscaled)
+const MODERATION_PENDING_DIR = path.join(STORAGE_DIR, 'moderation_pending');
+// Streamed binary uploads land here until they are moderated and stored
+const UPLOADS_TMP_DIR = path.join(STORAGE_DIR, 'uploads_tmp');
+// Chunks of resumable uploads, one directory per session (kept across restarts)
+const UPLOAD_SESSIONS_DIR = path.join(STORAGE_DIR, 'upload_sessions');
+const DESIGNS_DB_FILE = path.join(STORAGE_DIR, 'designs.db');
+// Legacy JSON stores, imported into designs.db on first boot
 const METADATA_FILE = path.join(STORAGE_DIR, 'metadata.json');
+const DESIGN_LIKES_FILE = path.join(STORAGE_DIR, 'design_likes.json');
+const MIGRATIONS_FILE = path.join(STORAGE_DIR, 'migrations.json');
 
 // Analytics storage directories
 const ANALYTICS_DIR = path.join(STORAGE_DIR, 'analytics');
@@ -312,6 +350,11 @@ const CRASHES_DIR = path.join(STORAGE_DIR, 'crashes');
 const CRASHES_METADATA_FILE = path.join(STORAGE_DIR, 'crashes_metadata.json');
 const CRASH_GROUPS_FILE = path.join(STORAGE_DIR, 'crash_groups.json');
 const FEATURED_FILE = path.join(STORAGE_DIR, 'featured.json');
+const TAGS_FILE = path.join(STORAGE_DIR, 'tags.json');
+const EVENTS_FILE = path.join(STORAGE_DIR, 'events.json');
+const GAME_VERSIONS_FILE = path.join(STORAGE_DIR, 'game_versions.json');
+const MODERATION_LOG_FILE = path.join(STORAGE_DIR, 'moderation_rejections.json');
+const TEXT_MODERATION_FILE = path.join(STORAGE_DIR, 'text_moderation.json');
 
 // Artist link tracking (in-game partner links -> outbound redirect + click counts)
 const ARTISTS_FILE = path.join(STORAGE_DIR, 'artists.json');
@@ -322,6 +365,13 @@ const CLICK_SALT_FILE = path.join(STORAGE_DIR, 'artist_click_salt.txt');
 try {
     fs.ensureDirSync(DESIGNS_DIR);
     fs.ensureDirSync(THUMBNAILS_DIR);
+    fs.ensureDirSync(THUMBNAIL_RENDITIONS_DIR);
+    fs.ensureDirSync(REVISIONS_DIR);
+    fs.ensureDirSync(QUARANTINE_DIR);
+    fs.ensureDirSync(MODERATION_PENDING_DIR);
+    // Anything left here was an upload interrupted by a restart
+    fs.emptyDirSync(UPLOADS_TMP_DIR);
+    fs.ensureDirSync(UPLOAD_SESSIONS_DIR);
     fs.ensureDirSync(ANALYTICS_DIR);
     fs.ensureDirSync(CRASHES_DIR);
     console.log('Storage directories created/verified');
@@ -330,25 +380,106 @@ try {
     process.exit(1);
 }
 
-// Initialize metadata file if it doesn't exist
-try {
-    if (!fs.existsSync(METADATA_FILE)) {
-        fs.writeJsonSync(METADATA_FILE, []);
-        console.log('Metadata file initialized');
+// ---------------------------------------------------------------------------
+// JSON store persistence. Every JSON store is written to a temp file, fsynced
+// and renamed over the original, so a crash or a full volume mid-write leaves
+// the previous version in place instead of a truncated file. The last
+// JSON_STORE_GENERATIONS versions are kept next to it as <file>.1 (newest)
+// through <file>.N.
+// A store that fails to parse is never treated as empty (the next save would
+// wipe it): reads fall back to the newest readable generation and the store
+// goes read-only until the file is repaired and the server restarted. With no
+// readable generation at all, the server refuses to start.
+// ---------------------------------------------------------------------------
+const JSON_STORE_GENERATIONS = Math.max(parseInt(process.env.JSON_STORE_GENERATIONS || '3', 10) || 0, 0);
+const readOnlyStores = new Map(); // file -> reason it could not be read
+
+function fsyncDirectory(dir) {
+    try {
+        const fd = fs.openSync(dir, 'r');
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (error) {
+        // Directory fsync isn't supported everywhere (e.g. Windows) — the rename is still atomic
+    }
+}
+
+// Shift <file>.1..N-1 up by one and keep the current version as <file>.1
+function rotateJsonGenerations(file) {
+    if (JSON_STORE_GENERATIONS === 0 || !fs.existsSync(file)) return;
+    for (let i = JSON_STORE_GENERATIONS; i > 1; i--) {
+        const older = `${file}.${i - 1}`;
+        if (fs.existsSync(older)) fs.renameSync(older, `${file}.${i}`);
+    }
+    fs.removeSync(`${file}.1`);
+    try {
+        // Hard link: the live file stays in place until the rename replaces it
+        fs.linkSync(file, `${file}.1`);
+    } catch (error) {
+        fs.copyFileSync(file, `${file}.1`);
+    }
+}
+
+function writeJsonAtomic(file, data) {
+    const tmpFile = `${file}.tmp`;
+    try {
+        const fd = fs.openSync(tmpFile, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (error) {
+        fs.removeSync(tmpFile);
+        throw error;
+    }
+    rotateJsonGenerations(file);
+    fs.renameSync(tmpFile, file);
+    fsyncDirectory(path.dirname(file));
+}
+
+// Load a JSON store. Missing file -> `fallback`. Unparseable file -> newest
+// readable generation (store marked read-only), or throws if there is none.
+function readJsonStore(file, label, fallback = []) {
+    try {
+        return fs.readJsonSync(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        if (!readOnlyStores.has(file)) {
+            readOnlyStores.set(file, error.message);
+            console.error(`${label} store is unreadable (${error.message}) — it is now READ-ONLY. ` +
+                `Restore ${path.basename(file)} from ${path.basename(file)}.1..${JSON_STORE_GENERATIONS} and restart.`);
+        }
+        for (let i = 1; i <= JSON_STORE_GENERATIONS; i++) {
+            try {
+                return fs.readJsonSync(`${file}.${i}`);
+            } catch (generationError) {
+                // Try the next older generation
+            }
+        }
+        throw new Error(`${label} store is unreadable and has no readable backup generation`);
     }
-} catch (error) {
-    console.error('Failed to initialize metadata file:', error);
-    process.exit(1);
+}
+
+function writeJsonStore(file, label, data) {
+    if (readOnlyStores.has(file)) {
+        throw new Error(`${label} store is read-only (unreadable on disk: ${readOnlyStores.get(file)})`);
+    }
+    writeJsonAtomic(file, data);
 }
 
 // Initialize analytics files if they don't exist
 try {
     if (!fs.existsSync(ANALYTICS_EVENTS_FILE)) {
-        fs.writeJsonSync(ANALYTICS_EVENTS_FILE, []);
+        writeJsonStore(ANALYTICS_EVENTS_FILE, 'Analytics events', []);
         console.log('Analytics events file initialized');
     }
     if (!fs.existsSync(ANALYTICS_SESSIONS_FILE)) {
-        fs.writeJsonSync(ANALYTICS_SESSIONS_FILE, []);
+        writeJsonStore(ANALYTICS_SESSIONS_FILE, 'Analytics sessions', []);
         console.log('Analytics sessions file initialized');
     }
 } catch (error) {
@@ -359,7 +490,7 @@ try {
 // Initialize crashes metadata file if it doesn't exist
 try {
     if (!fs.existsSync(CRASHES_METADATA_FILE)) {
-        fs.writeJsonSync(CRASHES_METADATA_FILE, []);
+        writeJsonStore(CRASHES_METADATA_FILE, 'Crashes metadata', []);
         console.log('Crashes metadata file initialized');
     }
 } catch (error) {
@@ -370,7 +501,7 @@ try {
 // Initialize crash groups file if it doesn't exist
 try {
     if (!fs.existsSync(CRASH_GROUPS_FILE)) {
-        fs.writeJsonSync(CRASH_GROUPS_FILE, []);
+        writeJsonStore(CRASH_GROUPS_FILE, 'Crash groups', []);
         console.log('Crash groups file initialized');
     }
 } catch (error) {
@@ -380,11 +511,11 @@ try {
 // Initialize artist link files if they don't exist
 try {
     if (!fs.existsSync(ARTISTS_FILE)) {
-        fs.writeJsonSync(ARTISTS_FILE, []);
+        writeJsonStore(ARTISTS_FILE, 'Artists', []);
         console.log('Artists file initialized');
     }
     if (!fs.existsSync(ARTIST_CLICKS_FILE)) {
-        fs.writeJsonSync(ARTIST_CLICKS_FILE, []);
+        writeJsonStore(ARTIST_CLICKS_FILE, 'Artist clicks', []);
         console.log('Artist clicks file initialized');
     }
 } catch (error) {
@@ -392,22 +523,761 @@ try {
     // Non-fatal - artist links are optional
 }
 
-// Helper functions
-function loadMetadata() {
-    try {
-        return fs.readJsonSync(METADATA_FILE);
-    } catch (error) {
-        console.error('Error loading metadata:', error);
-        return [];
+// Check every JSON store once at boot so a corrupted file is caught before the
+// first request, not when a route happens to load it
+try {
+    for (const [file, label] of [
+        [ANALYTICS_EVENTS_FILE, 'Analytics events'],
+        [ANALYTICS_SESSIONS_FILE, 'Analytics sessions'],
+        [CRASHES_METADATA_FILE, 'Crashes metadata'],
+        [CRASH_GROUPS_FILE, 'Crash groups'],
+        [FEATURED_FILE, 'Featured'],
+        [TAGS_FILE, 'Tags'],
+        [EVENTS_FILE, 'Events'],
+        [GAME_VERSIONS_FILE, 'Game versions'],
+        [ARTISTS_FILE, 'Artists'],
+        [ARTIST_CLICKS_FILE, 'Artist clicks'],
+        [MIGRATIONS_FILE, 'Migrations'],
+        [MODERATION_LOG_FILE, 'Moderation log'],
+        [TEXT_MODERATION_FILE, 'Text moderation']
+    ]) {
+        readJsonStore(file, label);
     }
+    if (readOnlyStores.size > 0) {
+        console.error(`Starting with ${readOnlyStores.size} READ-ONLY store(s): ${[...readOnlyStores.keys()].map(f => path.basename(f)).join(', ')}`);
+    }
+} catch (error) {
+    console.error('Refusing to start:', error.message);
+    process.exit(1);
 }
 
-function saveMetadata(metadata) {
-    try {
-        fs.writeJsonSync(METADATA_FILE, metadata, { spaces: 2 });
-    } catch (error) {
-        console.error('Error saving metadata:', error);
+// ---------------------------------------------------------------------------
+// Design store (SQLite). Routes go through designStore only — nothing else
+// touches the database. The full design record is kept as JSON in `data`;
+// id/upload_date/download_count/level/author_name are copied into indexed
+// columns on every write so lookups and sorts don't need to parse the JSON.
+// Writes are single-row, so concurrent uploads can't clobber each other the
+// way rewriting one metadata.json array could.
+// ---------------------------------------------------------------------------
+let designsDb;
+try {
+    designsDb = new Database(DESIGNS_DB_FILE);
+    designsDb.pragma('journal_mode = WAL');
+    designsDb.pragma('synchronous = NORMAL');
+    designsDb.exec(`
+        CREATE TABLE IF NOT EXISTS designs (
+            id TEXT PRIMARY KEY,
+            upload_date TEXT NOT NULL,
+            download_count INTEGER NOT NULL DEFAULT 0,
+            level TEXT NOT NULL DEFAULT '',
+            author_name TEXT NOT NULL DEFAULT '',
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_designs_upload_date ON designs (upload_date);
+        CREATE INDEX IF NOT EXISTS idx_designs_download_count ON designs (download_count, upload_date);
+        CREATE INDEX IF NOT EXISTS idx_designs_level ON designs (level);
+        CREATE INDEX IF NOT EXISTS idx_designs_author_name ON designs (author_name COLLATE NOCASE);
+
+        -- One row per (design, hashed player)
+        CREATE TABLE IF NOT EXISTS design_likes (
+            design_id TEXT NOT NULL,
+            player TEXT NOT NULL,
+            date TEXT NOT NULL,
+            PRIMARY KEY (design_id, player)
+        );
+
+        -- Every upload of a design, numbered from 1 per design. The files of
+        -- a revision live in storage/revisions/<design id>/<revision>.sav|.png
+        CREATE TABLE IF NOT EXISTS design_revisions (
+            design_id TEXT NOT NULL,
+            revision INTEGER NOT NULL,
+            upload_date TEXT NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (design_id, revision)
+        );
+
+        -- Downloads and net likes per design per UTC day, for trending/hot
+        -- sorts and windowed top lists
+        CREATE TABLE IF NOT EXISTS design_daily_stats (
+            design_id TEXT NOT NULL,
+            day TEXT NOT NULL,
+            downloads INTEGER NOT NULL DEFAULT 0,
+            likes INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (design_id, day)
+        );
+        CREATE INDEX IF NOT EXISTS idx_design_daily_stats_day ON design_daily_stats (day);
+
+        -- Full-text search index. Columns hold the output of searchTokens()
+        -- (accent-folded words and CJK n-grams), not the raw text.
+        CREATE VIRTUAL TABLE IF NOT EXISTS design_search USING fts5(
+            id UNINDEXED, title, description, author_name, level,
+            tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        -- Mirror of each design's tags array, for filtering and counts
+        CREATE TABLE IF NOT EXISTS design_tags (
+            design_id TEXT NOT NULL,
+            tag TEXT NOT NULL,
+            PRIMARY KEY (design_id, tag)
+        );
+        CREATE INDEX IF NOT EXISTS idx_design_tags_tag ON design_tags (tag);
+
+        -- Player reports. status is 'open' until a moderator resolves the
+        -- design's reports (resolution = approved | hidden | deleted).
+        CREATE TABLE IF NOT EXISTS design_reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            design_id TEXT NOT NULL,
+            player TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            details TEXT NOT NULL DEFAULT '',
+            date TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'open',
+            resolution TEXT,
+            resolved_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_design_reports_design ON design_reports (design_id, status);
+        CREATE INDEX IF NOT EXISTS idx_design_reports_player ON design_reports (player, date);
+        CREATE INDEX IF NOT EXISTS idx_design_reports_status ON design_reports (status, date);
+
+        -- Designs waiting for background image moderation, one job per
+        -- design. Failed attempts are retried from next_attempt_at.
+        CREATE TABLE IF NOT EXISTS moderation_queue (
+            design_id TEXT PRIMARY KEY,
+            enqueued_at TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TEXT NOT NULL,
+            last_error TEXT
+        );
+
+        -- Thumbnail hashes of blocked designs (see blockedThumbnailHashes)
+        -- that were purged, so the image stays blocked after its design is gone
+        CREATE TABLE IF NOT EXISTS blocked_thumbnail_hashes (
+            design_id TEXT PRIMARY KEY,
+            phash TEXT NOT NULL,
+            source TEXT NOT NULL,
+            blocked_at TEXT NOT NULL
+        );
+
+        -- Single row, bumped by every change to what the read routes return
+        -- (see "Catalogue version and conditional requests")
+        CREATE TABLE IF NOT EXISTS catalogue_version (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            version INTEGER NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        INSERT OR IGNORE INTO catalogue_version (id, version, updated_at) VALUES (1, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+        -- Latest change of each design, numbered with the catalogue version
+        -- it produced. Rows outlive their design (deletes, purges) so delta
+        -- sync (GET /api/designs/changes) can tell clients to drop it.
+        CREATE TABLE IF NOT EXISTS design_changes (
+            design_id TEXT PRIMARY KEY,
+            version INTEGER NOT NULL,
+            changed_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_design_changes_version ON design_changes (version);
+
+        -- Resumable uploads (see "Resumable uploads"): one row per session,
+        -- one per chunk received so far. Chunk data is in UPLOAD_SESSIONS_DIR.
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+            id TEXT PRIMARY KEY,
+            save_size INTEGER NOT NULL,
+            thumbnail_size INTEGER NOT NULL,
+            chunk_size INTEGER NOT NULL,
+            created_at TEXT NOT NULL,
+            expires_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires ON upload_sessions (expires_at);
+        CREATE TABLE IF NOT EXISTS upload_chunks (
+            upload_id TEXT NOT NULL,
+            chunk_index INTEGER NOT NULL,
+            size INTEGER NOT NULL,
+            sha256 TEXT NOT NULL,
+            received_at TEXT NOT NULL,
+            PRIMARY KEY (upload_id, chunk_index)
+        );
+    `);
+    console.log('Design database ready');
+} catch (error) {
+    console.error('Failed to open design database:', error);
+    process.exit(1);
+}
+
+// ---------------------------------------------------------------------------
+// Search tokenization, shared by the index and by queries. Text is lowercased
+// and accent-folded ("Café" -> "cafe", fullwidth -> ASCII). Runs of CJK
+// characters have no spaces between words, so they are indexed as single
+// characters plus overlapping bigrams ("東京タワー" -> 東, 京, ..., 東京, 京タ, ...).
+// ---------------------------------------------------------------------------
+
+const SEARCH_FIELDS = ['title', 'description', 'author_name', 'level'];
+const SEARCH_MAX_QUERY_TOKENS = 16;
+// U+30FC is the katakana long-vowel mark (タワー), which Unicode files under
+// the Common script
+const CJK_CHAR_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u30FC]/u;
+const SEARCH_RUN_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u30FC]+|[\p{L}\p{N}]+/gu;
+// Letters NFKD doesn't decompose into a base letter + accent
+const SEARCH_FOLD_MAP = { 'ß': 'ss', 'ø': 'o', 'đ': 'd', 'ł': 'l', 'æ': 'ae', 'œ': 'oe', 'þ': 'th' };
+
+function foldSearchText(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[ßøđłæœþ]/g, ch => SEARCH_FOLD_MAP[ch]);
+}
+
+// `forQuery` drops the single-character CJK tokens from multi-character runs:
+// the bigrams already require every character, in order.
+function searchTokens(text, forQuery = false) {
+    if (typeof text !== 'string' || text === '') return [];
+    const tokens = [];
+    for (const run of foldSearchText(text).match(SEARCH_RUN_REGEX) || []) {
+        if (!CJK_CHAR_REGEX.test(run)) {
+            tokens.push(run);
+            continue;
+        }
+        const chars = Array.from(run);
+        if (!forQuery || chars.length === 1) tokens.push(...chars);
+        for (let i = 0; i + 1 < chars.length; i++) tokens.push(chars[i] + chars[i + 1]);
     }
+    return tokens;
+}
+
+// FTS5 MATCH expression requiring every query token (each as a prefix), or
+// null if the query has no searchable characters
+function buildSearchMatch(query) {
+    const tokens = [...new Set(searchTokens(query, true))].slice(0, SEARCH_MAX_QUERY_TOKENS);
+    if (tokens.length === 0) return null;
+    return tokens.map(token => `"${token.replace(/"/g, '""')}"*`).join(' AND ');
+}
+
+// Matched ranges per field for a search result, as [start, end) offsets into
+// the original (unfolded) field text. Latin tokens match at word starts, CJK
+// tokens anywhere. Fields without a match are omitted.
+function searchHighlights(design, query) {
+    const tokens = [...new Set(searchTokens(query, true))].slice(0, SEARCH_MAX_QUERY_TOKENS);
+    const highlights = {};
+    for (const field of SEARCH_FIELDS) {
+        const text = design[field];
+        if (typeof text !== 'string' || text === '') continue;
+
+        // Fold character by character, remembering where each folded
+        // character came from in the original text
+        let folded = '';
+        const starts = [];
+        const ends = [];
+        let offset = 0;
+        for (const ch of text) {
+            const piece = foldSearchText(ch);
+            for (let i = 0; i < piece.length; i++) {
+                starts.push(offset);
+                ends.push(offset + ch.length);
+            }
+            folded += piece;
+            offset += ch.length;
+        }
+
+        const ranges = [];
+        for (const token of tokens) {
+            const anywhere = CJK_CHAR_REGEX.test(token);
+            let index = folded.indexOf(token);
+            while (index !== -1) {
+                const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(folded[index - 1]);
+                if (anywhere || atWordStart) {
+                    ranges.push([starts[index], ends[index + token.length - 1]]);
+                }
+                index = folded.indexOf(token, index + 1);
+            }
+        }
+        if (ranges.length === 0) continue;
+
+        // Merge overlapping/adjacent ranges
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        for (const range of ranges.slice(1)) {
+            const last = merged[merged.length - 1];
+            if (range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+            else merged.push(range);
+        }
+        highlights[field] = merged;
+    }
+    return highlights;
+}
+
+// Designs whose thumbnail may not be uploaded again: deleted by a moderator
+// or quarantined by image moderation
+const BLOCKED_THUMBNAIL_CONDITION = `
+    json_extract(data, '$.thumbnail_phash') IS NOT NULL
+    AND ((json_extract(data, '$.deleted_at') IS NOT NULL AND json_extract(data, '$.deleted_by') = 'admin')
+      OR (json_extract(data, '$.visibility') = 'quarantined' AND json_extract(data, '$.visibility_reason') = 'image_moderation'))
+`;
+const BLOCKED_THUMBNAIL_SOURCE = "CASE WHEN json_extract(data, '$.deleted_at') IS NOT NULL THEN 'deleted' ELSE 'quarantined' END";
+
+const designStatements = {
+    get: designsDb.prepare('SELECT data FROM designs WHERE id = ?'),
+    all: designsDb.prepare('SELECT data FROM designs ORDER BY upload_date DESC'),
+    top: designsDb.prepare(`
+        SELECT data FROM designs
+        WHERE COALESCE(json_extract(data, '$.visibility'), 'public') = 'public'
+          AND json_extract(data, '$.deleted_at') IS NULL
+          AND json_extract(data, '$.moderation_status') IS NULL
+        ORDER BY download_count DESC, upload_date DESC
+        LIMIT ?
+    `),
+    countListed: designsDb.prepare(`
+        SELECT COUNT(*) AS n FROM designs
+        WHERE COALESCE(json_extract(data, '$.visibility'), 'public') = 'public'
+          AND json_extract(data, '$.deleted_at') IS NULL
+          AND json_extract(data, '$.moderation_status') IS NULL
+    `),
+    upsert: designsDb.prepare(`
+        INSERT INTO designs (id, upload_date, download_count, level, author_name, data)
+        VALUES (@id, @upload_date, @download_count, @level, @author_name, @data)
+        ON CONFLICT (id) DO UPDATE SET
+            upload_date = excluded.upload_date,
+            download_count = excluded.download_count,
+            level = excluded.level,
+            author_name = excluded.author_name,
+            data = excluded.data
+    `),
+    remove: designsDb.prepare('DELETE FROM designs WHERE id = ?'),
+    clear: designsDb.prepare('DELETE FROM designs'),
+    addLike: designsDb.prepare('INSERT OR IGNORE INTO design_likes (design_id, player, date) VALUES (?, ?, ?)'),
+    removeLike: designsDb.prepare('DELETE FROM design_likes WHERE design_id = ? AND player = ?'),
+    countLikes: designsDb.prepare('SELECT COUNT(*) AS n FROM design_likes WHERE design_id = ?'),
+    removeLikes: designsDb.prepare('DELETE FROM design_likes WHERE design_id = ?'),
+    clearLikes: designsDb.prepare('DELETE FROM design_likes'),
+    revisions: designsDb.prepare('SELECT revision, upload_date, data FROM design_revisions WHERE design_id = ? ORDER BY revision DESC'),
+    getRevision: designsDb.prepare('SELECT revision, upload_date, data FROM design_revisions WHERE design_id = ? AND revision = ?'),
+    latestRevision: designsDb.prepare('SELECT MAX(revision) AS n FROM design_revisions WHERE design_id = ?'),
+    addRevision: designsDb.prepare('INSERT INTO design_revisions (design_id, revision, upload_date, data) VALUES (?, ?, ?, ?)'),
+    expiredRevisions: designsDb.prepare('SELECT revision FROM design_revisions WHERE design_id = ? ORDER BY revision DESC LIMIT -1 OFFSET ?'),
+    removeRevision: designsDb.prepare('DELETE FROM design_revisions WHERE design_id = ? AND revision = ?'),
+    removeRevisions: designsDb.prepare('DELETE FROM design_revisions WHERE design_id = ?'),
+    clearRevisions: designsDb.prepare('DELETE FROM design_revisions'),
+    recordDailyStats: designsDb.prepare(`
+        INSERT INTO design_daily_stats (design_id, day, downloads, likes)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (design_id, day) DO UPDATE SET
+            downloads = downloads + excluded.downloads,
+            likes = likes + excluded.likes
+    `),
+    dailyStatsSince: designsDb.prepare('SELECT design_id, day, downloads, likes FROM design_daily_stats WHERE day >= ?'),
+    topSince: designsDb.prepare(`
+        SELECT d.data FROM designs d
+        JOIN (
+            SELECT design_id, SUM(downloads) AS downloads FROM design_daily_stats
+            WHERE day >= ? GROUP BY design_id
+        ) s ON s.design_id = d.id
+        WHERE s.downloads > 0
+          AND COALESCE(json_extract(d.data, '$.visibility'), 'public') = 'public'
+          AND json_extract(d.data, '$.deleted_at') IS NULL
+          AND json_extract(d.data, '$.moderation_status') IS NULL
+        ORDER BY s.downloads DESC, d.upload_date DESC
+        LIMIT ?
+    `),
+    removeDailyStats: designsDb.prepare('DELETE FROM design_daily_stats WHERE design_id = ?'),
+    clearDailyStats: designsDb.prepare('DELETE FROM design_daily_stats'),
+    indexSearch: designsDb.prepare('INSERT INTO design_search (id, title, description, author_name, level) VALUES (?, ?, ?, ?, ?)'),
+    // Column weights follow the column order: id (unindexed), title,
+    // description, author_name, level. bm25() is lower-is-better.
+    search: designsDb.prepare('SELECT id, -bm25(design_search, 0, 10, 1, 5, 2) AS score FROM design_search WHERE design_search MATCH ?'),
+    removeSearch: designsDb.prepare('DELETE FROM design_search WHERE id = ?'),
+    clearSearch: designsDb.prepare('DELETE FROM design_search'),
+    addTag: designsDb.prepare('INSERT OR IGNORE INTO design_tags (design_id, tag) VALUES (?, ?)'),
+    // Only designs browse lists (see isListedDesign)
+    tagCounts: designsDb.prepare(`
+        SELECT t.tag, COUNT(*) AS n FROM design_tags t
+        JOIN designs d ON d.id = t.design_id
+        WHERE COALESCE(json_extract(d.data, '$.visibility'), 'public') = 'public'
+          AND json_extract(d.data, '$.deleted_at') IS NULL
+          AND json_extract(d.data, '$.moderation_status') IS NULL
+        GROUP BY t.tag
+    `),
+    designsWithTag: designsDb.prepare('SELECT design_id FROM design_tags WHERE tag = ?'),
+    removeTags: designsDb.prepare('DELETE FROM design_tags WHERE design_id = ?'),
+    clearTags: designsDb.prepare('DELETE FROM design_tags'),
+    addReport: designsDb.prepare('INSERT INTO design_reports (design_id, player, reason, details, date) VALUES (?, ?, ?, ?, ?)'),
+    openReportFromPlayer: designsDb.prepare("SELECT id FROM design_reports WHERE design_id = ? AND player = ? AND status = 'open'"),
+    openReporters: designsDb.prepare("SELECT COUNT(DISTINCT player) AS n FROM design_reports WHERE design_id = ? AND status = 'open'"),
+    reportsByPlayerSince: designsDb.prepare('SELECT COUNT(*) AS n FROM design_reports WHERE player = ? AND date >= ?'),
+    reportsByStatus: designsDb.prepare('SELECT id, design_id, reason, details, date, status, resolution, resolved_at FROM design_reports WHERE status = ? ORDER BY date DESC LIMIT ?'),
+    resolveReports: designsDb.prepare("UPDATE design_reports SET status = 'resolved', resolution = ?, resolved_at = ? WHERE design_id = ? AND status = 'open'"),
+    removeReports: designsDb.prepare('DELETE FROM design_reports WHERE design_id = ?'),
+    clearReports: designsDb.prepare('DELETE FROM design_reports'),
+    // Thumbnails that may not be uploaded again: blocked designs, and those
+    // of blocked designs since purged
+    blockedThumbnailHashes: designsDb.prepare(`
+        SELECT id, json_extract(data, '$.thumbnail_phash') AS phash, ${BLOCKED_THUMBNAIL_SOURCE} AS source
+        FROM designs
+        WHERE ${BLOCKED_THUMBNAIL_CONDITION}
+        UNION ALL
+        SELECT design_id AS id, phash, source FROM blocked_thumbnail_hashes
+    `),
+    keepBlockedThumbnailHash: designsDb.prepare(`
+        INSERT OR REPLACE INTO blocked_thumbnail_hashes (design_id, phash, source, blocked_at)
+        SELECT id, json_extract(data, '$.thumbnail_phash'), ${BLOCKED_THUMBNAIL_SOURCE}, ?
+        FROM designs
+        WHERE id = ? AND ${BLOCKED_THUMBNAIL_CONDITION}
+    `),
+    enqueueModeration: designsDb.prepare(`
+        INSERT INTO moderation_queue (design_id, enqueued_at, attempts, next_attempt_at)
+        VALUES (?, ?, 0, ?)
+        ON CONFLICT (design_id) DO UPDATE SET
+            enqueued_at = excluded.enqueued_at,
+            attempts = 0,
+            next_attempt_at = excluded.next_attempt_at,
+            last_error = NULL
+    `),
+    nextModerationJob: designsDb.prepare('SELECT design_id, enqueued_at, attempts FROM moderation_queue WHERE next_attempt_at <= ? ORDER BY enqueued_at LIMIT 1'),
+    retryModerationJob: designsDb.prepare('UPDATE moderation_queue SET attempts = attempts + 1, next_attempt_at = ?, last_error = ? WHERE design_id = ? AND enqueued_at = ?'),
+    finishModerationJob: designsDb.prepare('DELETE FROM moderation_queue WHERE design_id = ? AND enqueued_at = ?'),
+    moderationQueue: designsDb.prepare('SELECT design_id, enqueued_at, attempts, next_attempt_at, last_error FROM moderation_queue ORDER BY enqueued_at'),
+    removeModerationJob: designsDb.prepare('DELETE FROM moderation_queue WHERE design_id = ?'),
+    clearModerationQueue: designsDb.prepare('DELETE FROM moderation_queue'),
+    catalogueVersion: designsDb.prepare('SELECT version, updated_at FROM catalogue_version WHERE id = 1'),
+    bumpCatalogueVersion: designsDb.prepare('UPDATE catalogue_version SET version = version + 1, updated_at = ? WHERE id = 1 RETURNING version'),
+    recordDesignChange: designsDb.prepare(`
+        INSERT INTO design_changes (design_id, version, changed_at) VALUES (?, ?, ?)
+        ON CONFLICT (design_id) DO UPDATE SET version = excluded.version, changed_at = excluded.changed_at
+    `),
+    designChangesSince: designsDb.prepare('SELECT design_id, version FROM design_changes WHERE version > ? ORDER BY version LIMIT ?'),
+    allDesignIds: designsDb.prepare('SELECT id FROM designs'),
+    createUploadSession: designsDb.prepare(`
+        INSERT INTO upload_sessions (id, save_size, thumbnail_size, chunk_size, created_at, expires_at)
+        VALUES (@id, @save_size, @thumbnail_size, @chunk_size, @created_at, @expires_at)
+    `),
+    getUploadSession: designsDb.prepare('SELECT * FROM upload_sessions WHERE id = ?'),
+    touchUploadSession: designsDb.prepare('UPDATE upload_sessions SET expires_at = ? WHERE id = ?'),
+    uploadChunks: designsDb.prepare('SELECT chunk_index, size, sha256 FROM upload_chunks WHERE upload_id = ? ORDER BY chunk_index'),
+    recordUploadChunk: designsDb.prepare(`
+        INSERT INTO upload_chunks (upload_id, chunk_index, size, sha256, received_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (upload_id, chunk_index) DO UPDATE SET size = excluded.size, sha256 = excluded.sha256, received_at = excluded.received_at
+    `),
+    removeUploadChunks: designsDb.prepare('DELETE FROM upload_chunks WHERE upload_id = ?'),
+    removeUploadSession: designsDb.prepare('DELETE FROM upload_sessions WHERE id = ?'),
+    expiredUploadSessions: designsDb.prepare('SELECT id FROM upload_sessions WHERE expires_at <= ?'),
+    uploadSessionIds: designsDb.prepare('SELECT id FROM upload_sessions')
+};
+
+// UTC calendar day ('YYYY-MM-DD'), optionally shifted by whole days
+function utcDay(time = Date.now(), offsetDays = 0) {
+    return new Date(time + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+const parseDesignRow = row => JSON.parse(row.data);
+const parseRevisionRow = row => ({ revision: row.revision, upload_date: row.upload_date, ...JSON.parse(row.data) });
+
+const designStore = {
+    get(id) {
+        const row = designStatements.get.get(id);
+        return row ? parseDesignRow(row) : null;
+    },
+
+    getMany(ids) {
+        return [...new Set(ids)].map(id => designStore.get(id)).filter(Boolean);
+    },
+
+    // Newest first
+    all() {
+        return designStatements.all.all().map(parseDesignRow);
+    },
+
+    // Most downloaded first, newest first on ties
+    top(limit) {
+        return designStatements.top.all(limit).map(parseDesignRow);
+    },
+
+    // Most downloaded since `day` (inclusive) according to the daily stats
+    topSince(day, limit) {
+        return designStatements.topSince.all(day, limit).map(parseDesignRow);
+    },
+
+    dailyStatsSince(day) {
+        return designStatements.dailyStatsSince.all(day);
+    },
+
+    // Designs shown in browse and top (see isListedDesign)
+    countListed() {
+        return designStatements.countListed.get().n;
+    },
+
+    // Also refreshes the design's search index entry and tag rows
+    save: designsDb.transaction(design => {
+        designStatements.upsert.run({
+            id: design.id,
+            upload_date: design.upload_date || new Date().toISOString(),
+            download_count: design.download_count || 0,
+            level: design.level || '',
+            author_name: design.author_name || '',
+            data: JSON.stringify(design)
+        });
+        designStatements.removeSearch.run(design.id);
+        designStatements.indexSearch.run(design.id, ...SEARCH_FIELDS.map(field => searchTokens(design[field]).join(' ')));
+        designStatements.removeTags.run(design.id);
+        for (const tag of design.tags || []) designStatements.addTag.run(design.id, tag);
+        designStore.recordDesignChange(design.id);
+        return design;
+    }),
+
+    // Files a player's report. One open report per player and design; once
+    // `hideThreshold` different players have open reports the design is
+    // hidden from browse. Returns { design, duplicate, openReporters,
+    // autoHidden }, or null if the design doesn't exist.
+    addReport: designsDb.transaction((designId, player, reason, details, hideThreshold) => {
+        let design = designStore.get(designId);
+        if (!design) return null;
+        if (designStatements.openReportFromPlayer.get(designId, player)) {
+            return { design, duplicate: true, openReporters: designStatements.openReporters.get(designId).n, autoHidden: false };
+        }
+        const now = new Date().toISOString();
+        designStatements.addReport.run(designId, player, reason, details, now);
+        const openReporters = designStatements.openReporters.get(designId).n;
+        let autoHidden = false;
+        if (openReporters >= hideThreshold && isVisibleToPlayers(design)) {
+            design = designStore.update(designId, d => setDesignVisibility(d, 'hidden', 'reports', now));
+            autoHidden = true;
+        }
+        return { design, duplicate: false, openReporters, autoHidden };
+    }),
+
+    reportsByPlayerSince(player, since) {
+        return designStatements.reportsByPlayerSince.get(player, since).n;
+    },
+
+    // Newest first
+    reportsByStatus(status, limit) {
+        return designStatements.reportsByStatus.all(status, limit);
+    },
+
+    // Closes every open report on a design. Returns how many were closed.
+    resolveReports(designId, resolution) {
+        return designStatements.resolveReports.run(resolution, new Date().toISOString(), designId).changes;
+    },
+
+    // Map of tag -> number of listed designs carrying it
+    tagCounts() {
+        return new Map(designStatements.tagCounts.all().map(row => [row.tag, row.n]));
+    },
+
+    // Queues (or re-queues, after a new upload) a design for image moderation
+    enqueueModeration(designId) {
+        const now = new Date().toISOString();
+        designStatements.enqueueModeration.run(designId, now, now);
+    },
+
+    // Oldest job that is due, or undefined
+    nextModerationJob() {
+        return designStatements.nextModerationJob.get(new Date().toISOString());
+    },
+
+    // Jobs are matched on enqueued_at as well, so a design re-uploaded while
+    // its previous version was being checked keeps its new job
+    retryModerationJob(job, nextAttemptAt, error) {
+        designStatements.retryModerationJob.run(nextAttemptAt, error, job.design_id, job.enqueued_at);
+    },
+
+    finishModerationJob(job) {
+        designStatements.finishModerationJob.run(job.design_id, job.enqueued_at);
+    },
+
+    moderationQueue() {
+        return designStatements.moderationQueue.all();
+    },
+
+    // { version, updated_at } of the last change to the catalogue
+    catalogueVersion() {
+        return designStatements.catalogueVersion.get();
+    },
+
+    // Called by every design write; call it directly for changes outside
+    // designs.db that players see (the featured list). Returns the new version.
+    bumpCatalogueVersion() {
+        return designStatements.bumpCatalogueVersion.get(new Date().toISOString()).version;
+    },
+
+    // Bumps the catalogue version and logs it as the design's latest change.
+    // Each change gets its own version, so a page of changes never ends
+    // halfway through one.
+    recordDesignChange(designId) {
+        const version = designStore.bumpCatalogueVersion();
+        designStatements.recordDesignChange.run(designId, version, new Date().toISOString());
+    },
+
+    // A change entry for every design, for changes that can alter any
+    // design's sync entry (the game version matrix decides compatibility)
+    recordChangeForAllDesigns: designsDb.transaction(() => {
+        for (const { id } of designStatements.allDesignIds.all()) designStore.recordDesignChange(id);
+    }),
+
+    // [{ design_id, version }] changed after `version`, oldest first
+    designChangesSince(version, limit) {
+        return designStatements.designChangesSince.all(version, limit);
+    },
+
+    createUploadSession(session) {
+        designStatements.createUploadSession.run(session);
+    },
+
+    // The session row, or undefined if it doesn't exist or has expired
+    uploadSession(uploadId) {
+        const session = designStatements.getUploadSession.get(uploadId);
+        return session && session.expires_at > new Date().toISOString() ? session : undefined;
+    },
+
+    // [{ chunk_index, size, sha256 }] received so far, in order
+    uploadChunks(uploadId) {
+        return designStatements.uploadChunks.all(uploadId);
+    },
+
+    // Records a verified chunk and pushes the session's expiry back
+    recordUploadChunk: designsDb.transaction((uploadId, index, size, sha256, expiresAt) => {
+        designStatements.recordUploadChunk.run(uploadId, index, size, sha256, new Date().toISOString());
+        designStatements.touchUploadSession.run(expiresAt, uploadId);
+    }),
+
+    removeUploadSession: designsDb.transaction(uploadId => {
+        designStatements.removeUploadChunks.run(uploadId);
+        return designStatements.removeUploadSession.run(uploadId).changes > 0;
+    }),
+
+    expiredUploadSessionIds() {
+        return designStatements.expiredUploadSessions.all(new Date().toISOString()).map(row => row.id);
+    },
+
+    uploadSessionIds() {
+        return designStatements.uploadSessionIds.all().map(row => row.id);
+    },
+
+    // [{ id, phash, source: 'deleted' | 'quarantined' }]
+    blockedThumbnailHashes() {
+        return designStatements.blockedThumbnailHashes.all();
+    },
+
+    // Drops a tag from every design that has it. Returns how many changed.
+    removeTagEverywhere: designsDb.transaction(tag => {
+        const ids = designStatements.designsWithTag.all(tag).map(row => row.design_id);
+        for (const id of ids) {
+            designStore.update(id, d => {
+                d.tags = (d.tags || []).filter(t => t !== tag);
+            });
+        }
+        return ids.length;
+    }),
+
+    // Map of design ID -> relevance (higher is better) for a search query
+    search(query) {
+        const match = buildSearchMatch(query);
+        if (!match) return new Map();
+        return new Map(designStatements.search.all(match).map(row => [row.id, row.score]));
+    },
+
+    // Read-modify-write of one design inside a transaction. `mutate` edits the
+    // record in place; returns the saved design, or null if it doesn't exist.
+    update: designsDb.transaction((id, mutate) => {
+        const design = designStore.get(id);
+        if (!design) return null;
+        mutate(design);
+        return designStore.save(design);
+    }),
+
+    // Counts one download (total and today's). Returns the updated design, or
+    // null if it doesn't exist.
+    recordDownload: designsDb.transaction(id => {
+        const design = designStore.update(id, d => {
+            d.download_count = (d.download_count || 0) + 1;
+        });
+        if (design) designStatements.recordDailyStats.run(id, utcDay(), 1, 0);
+        return design;
+    }),
+
+    // A blocked design's thumbnail hash is kept (blocked_thumbnail_hashes)
+    remove: designsDb.transaction(id => {
+        designStatements.keepBlockedThumbnailHash.run(new Date().toISOString(), id);
+        designStatements.removeLikes.run(id);
+        designStatements.removeRevisions.run(id);
+        designStatements.removeDailyStats.run(id);
+        designStatements.removeSearch.run(id);
+        designStatements.removeTags.run(id);
+        designStatements.removeReports.run(id);
+        designStatements.removeModerationJob.run(id);
+        const removed = designStatements.remove.run(id).changes > 0;
+        if (removed) designStore.recordDesignChange(id);
+        return removed;
+    }),
+
+    clear: designsDb.transaction(() => {
+        designStatements.clearLikes.run();
+        designStatements.clearRevisions.run();
+        designStatements.clearDailyStats.run();
+        designStatements.clearSearch.run();
+        designStatements.clearTags.run();
+        designStatements.clearReports.run();
+        designStatements.clearModerationQueue.run();
+        // Every design gets a change entry, so synced clients drop them all;
+        // blocked thumbnails stay blocked, like logged rejections
+        const now = new Date().toISOString();
+        for (const { id } of designStatements.allDesignIds.all()) {
+            designStatements.keepBlockedThumbnailHash.run(now, id);
+            designStore.recordDesignChange(id);
+        }
+        designStatements.clear.run();
+    }),
+
+    // Newest first
+    revisions(designId) {
+        return designStatements.revisions.all(designId).map(parseRevisionRow);
+    },
+
+    getRevision(designId, revision) {
+        const row = designStatements.getRevision.get(designId, revision);
+        return row ? parseRevisionRow(row) : null;
+    },
+
+    // 0 when the design has no recorded revisions
+    latestRevision(designId) {
+        return designStatements.latestRevision.get(designId).n || 0;
+    },
+
+    // Records a revision and drops all but the newest `keep` revisions of the
+    // design. Returns the revision numbers that were dropped.
+    addRevision: designsDb.transaction((designId, revision, entry, keep) => {
+        const { upload_date, ...data } = entry;
+        designStatements.addRevision.run(designId, revision, upload_date, JSON.stringify(data));
+        const expired = designStatements.expiredRevisions.all(designId, keep).map(row => row.revision);
+        for (const old of expired) designStatements.removeRevision.run(designId, old);
+        return expired;
+    }),
+
+    // Sets one player's like on a design and refreshes the design's like_count.
+    // Returns { design, changed }, or null if the design doesn't exist.
+    setLike: designsDb.transaction((designId, player, liked) => {
+        const design = designStore.get(designId);
+        if (!design) return null;
+        const result = liked
+            ? designStatements.addLike.run(designId, player, new Date().toISOString())
+            : designStatements.removeLike.run(designId, player);
+        const changed = result.changes > 0;
+        if (changed) {
+            design.like_count = designStatements.countLikes.get(designId).n;
+            designStore.save(design);
+            designStatements.recordDailyStats.run(designId, utcDay(), 0, liked ? 1 : -1);
+        }
+        return { design, changed };
+    })
+};
+
+// One-time data migrations, recorded by id in migrations.json so each runs
+// exactly once per storage volume (including across redeploys).
+function runMigrationOnce(id, migrate) {
+    let applied = readJsonStore(MIGRATIONS_FILE, 'Migrations');
+    if (!Array.isArray(applied)) applied = [];
+    if (applied.some(m => m.id === id)) return;
+    migrate();
+    applied.push({ id, applied_at: new Date().toISOString() });
+    writeJsonStore(MIGRATIONS_FILE, 'Migrations', applied);
+    console.log(`Migration applied: ${id}`);
 }
 
 function saveBase64File(base64Data, filename) {
@@ -421,46 +1291,46 @@ function saveBase64File(base64Data, filename) {
     }
 }
 
-// Analytics helper functions
-function loadAnalyticsEvents() {
+// Moves a streamed upload's temp file into place
+function moveUploadedFile(tempPath, filename) {
     try {
-        return fs.readJsonSync(ANALYTICS_EVENTS_FILE);
+        fs.moveSync(tempPath, filename, { overwrite: true });
+        return true;
     } catch (error) {
-        console.error('Error loading analytics events:', error);
-        return [];
+        console.error('Error saving file:', error);
+        return false;
     }
 }
 
+// Analytics helper functions
+function loadAnalyticsEvents() {
+    return readJsonStore(ANALYTICS_EVENTS_FILE, 'Analytics events');
+}
+
 function saveAnalyticsEvents(events) {
-    try {
-        fs.writeJsonSync(ANALYTICS_EVENTS_FILE, events, { spaces: 2 });
-    } catch (error) {
-        console.error('Error saving analytics events:', error);
-    }
+    writeJsonStore(ANALYTICS_EVENTS_FILE, 'Analytics events', events);
 }
 
 function loadAnalyticsSessions() {
-    try {
-        return fs.readJsonSync(ANALYTICS_SESSIONS_FILE);
-    } catch (error) {
-        console.error('Error loading analytics sessions:', error);
-        return [];
-    }
+    return readJsonStore(ANALYTICS_SESSIONS_FILE, 'Analytics sessions');
 }
 
 function saveAnalyticsSessions(sessions) {
-    try {
-        fs.writeJsonSync(ANALYTICS_SESSIONS_FILE, sessions, { spaces: 2 });
-    } catch (error) {
-        console.error('Error saving analytics sessions:', error);
-    }
+    writeJsonStore(ANALYTICS_SESSIONS_FILE, 'Analytics sessions', sessions);
 }
 
-async function compressAndSaveThumbnail(base64Data, filename) {
+// Larger thumbnails are refused at upload and left uncompressed by the
+// thumbnail tools (decompression bombs)
+const THUMBNAIL_MAX_DIMENSION = 4096;
+
+// Returns { path, phash } (phash: see thumbnailPerceptualHash, null if the
+// image couldn't be hashed), or null if nothing could be saved. Pass the hash
+// as knownPhash when the caller already has it.
+async function compressAndSaveThumbnail(base64Data, filename, knownPhash = undefined) {
     // Fallback to original save if Sharp is not available
     if (!sharp) {
         console.log('Sharp not available, saving original thumbnail');
-        return saveBase64File(base64Data, filename) ? filename : null;
+        return saveBase64File(base64Data, filename) ? { path: filename, phash: null } : null;
     }
     
     try {
@@ -468,11 +1338,13 @@ async function compressAndSaveThumbnail(base64Data, filename) {
 
         // Guard against decompression bombs: check image dimensions before processing
         const metadata = await sharp(buffer).metadata();
-        if (metadata.width > 4096 || metadata.height > 4096) {
-            console.warn(`Thumbnail rejected: dimensions ${metadata.width}x${metadata.height} exceed 4096px limit`);
-            return saveBase64File(base64Data, filename) ? filename : null;
+        if (metadata.width > THUMBNAIL_MAX_DIMENSION || metadata.height > THUMBNAIL_MAX_DIMENSION) {
+            console.warn(`Thumbnail rejected: dimensions ${metadata.width}x${metadata.height} exceed ${THUMBNAIL_MAX_DIMENSION}px limit`);
+            return saveBase64File(base64Data, filename) ? { path: filename, phash: null } : null;
         }
 
+        const phash = knownPhash !== undefined ? knownPhash : await thumbnailPerceptualHash(buffer);
+
         // Compress only (keep original resolution): 90% quality JPEG
         const compressedBuffer = await sharp(buffer)
             .jpeg({
@@ -490,77 +1362,367 @@ async function compressAndSaveThumbnail(base64Data, filename) {
         
         console.log(`Thumbnail compressed: ${(originalSize/1024/1024).toFixed(1)}MB → ${(compressedSize/1024).toFixed(0)}KB (${savings}% savings)`);
         
-        return filename;
+        return { path: filename, phash };
     } catch (error) {
         console.error('Error compressing thumbnail:', error);
         // Fallback to original save
-        return saveBase64File(base64Data, filename) ? filename : null;
+        return saveBase64File(base64Data, filename) ? { path: filename, phash: null } : null;
     }
 }
 
 // ---------------------------------------------------------------------------
-// Thumbnail image moderation (Azure AI Content Safety)
-// F0 free tier covers 5,000 images/month; current upload volume is well below.
-// Not configured (no endpoint/key) → moderation is skipped so the server keeps
-// working without an Azure resource. Set MODERATION_FAIL_CLOSED=1 to instead
-// reject thumbnail uploads whenever the check cannot run.
+// Perceptual thumbnail hashes, to catch the same room uploaded again under a
+// new ID, or a rejected image uploaded again. A dHash: the image shrunk to
+// 9x8 greyscale, one bit per pair of horizontally adjacent pixels (is the
+// right one brighter?), as 16 hex digits. Re-encoding, resizing and small
+// edits change only a few of the 64 bits, so two thumbnails within
+// THUMBNAIL_DUPLICATE_DISTANCE differing bits count as the same image.
+// Near-flat images (a black screen, a solid colour) hash to almost all 0s or
+// 1s and would match each other, so they are never compared.
 // ---------------------------------------------------------------------------
-const MODERATION_ENDPOINT = (process.env.AZURE_CONTENT_SAFETY_ENDPOINT || '').replace(/\/+$/, '');
-const MODERATION_KEY = process.env.AZURE_CONTENT_SAFETY_KEY || '';
-const MODERATION_SEVERITY_THRESHOLD = parseInt(process.env.MODERATION_SEVERITY_THRESHOLD || '2', 10);
-const MODERATION_FAIL_CLOSED = process.env.MODERATION_FAIL_CLOSED === '1';
-const MODERATION_LOG_FILE = path.join(STORAGE_DIR, 'moderation_rejections.json');
-// Tiling: small explicit details (e.g. custom images in art frames) get diluted
-// at full-frame scale and score severity 0 — verified with a real incident image
-// that scored 0 whole but Sexual=6 on its 2x2 tiles. Each thumbnail is checked
-// as the full frame plus a COLSxROWS tile grid ('0' disables tiling).
-const MODERATION_TILE_GRID = (process.env.MODERATION_TILE_GRID || '2x2').toLowerCase();
-// The F0 free tier allows roughly 1 request/second, so calls are spaced out.
-const MODERATION_CALL_DELAY_MS = parseInt(process.env.MODERATION_CALL_DELAY_MS || '1100', 10);
-
-function sleepMs(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+const THUMBNAIL_DUPLICATE_DISTANCE = Math.max(0, parseInt(process.env.THUMBNAIL_DUPLICATE_DISTANCE || '6', 10));
+const PHASH_MIN_DETAIL_BITS = 4;
 
-async function prepareImageForModeration(base64Data) {
-    // Azure Content Safety caps input at 2048x2048 / 4MB — downscale bigger
-    // images for the moderation call only (the stored thumbnail is untouched).
-    let buffer = Buffer.from(base64Data.replace(/^data:image\/\w+;base64,/, ''), 'base64');
-    if (!sharp) return buffer;
+async function thumbnailPerceptualHash(buffer) {
+    if (!sharp) return null;
     try {
-        const metadata = await sharp(buffer).metadata();
-        if (metadata.width > 2048 || metadata.height > 2048 || buffer.length > 4 * 1024 * 1024) {
-            buffer = await sharp(buffer)
-                .resize(1024, 1024, { fit: 'inside' })
-                .jpeg({ quality: 85 })
-                .toBuffer();
+        const pixels = await sharp(buffer)
+            .removeAlpha()
+            .greyscale()
+            .resize(9, 8, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+        let hash = '';
+        for (let row = 0; row < 8; row++) {
+            let byte = 0;
+            for (let col = 0; col < 8; col++) {
+                byte = (byte << 1) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1 : 0);
+            }
+            hash += byte.toString(16).padStart(2, '0');
         }
+        return hash;
     } catch (error) {
-        console.warn('Moderation pre-resize failed, sending original image:', error.message);
+        console.error('Thumbnail hash error:', error.message);
+        return null;
     }
-    return buffer;
 }
 
-async function buildModerationPieces(base64Data) {
-    const fullBuffer = await prepareImageForModeration(base64Data);
-    const pieces = [{ label: 'full', buffer: fullBuffer }];
-    const gridMatch = MODERATION_TILE_GRID.match(/^(\d)x(\d)$/);
-    if (!sharp || !gridMatch) return pieces;
-    const cols = parseInt(gridMatch[1], 10);
-    const rows = parseInt(gridMatch[2], 10);
-    if (cols * rows <= 1) return pieces;
+// Checks an uploaded thumbnail's dimensions before anything decodes its
+// pixels, then hashes it, so every stored thumbnail has a hash to compare.
+// Returns { ok: true, phash } or { ok: false, error }; without sharp nothing
+// can be checked and phash is null.
+async function inspectUploadedThumbnail(base64Data) {
+    if (!sharp) return { ok: true, phash: null };
+    const buffer = Buffer.from(base64Data, 'base64');
+    let metadata;
     try {
-        const metadata = await sharp(fullBuffer).metadata();
-        const tileWidth = Math.floor(metadata.width / cols);
-        const tileHeight = Math.floor(metadata.height / rows);
-        if (tileWidth < 50 || tileHeight < 50) return pieces; // Azure minimum input size
-        for (let row = 0; row < rows; row++) {
-            for (let col = 0; col < cols; col++) {
-                const buffer = await sharp(fullBuffer)
-                    .extract({ left: col * tileWidth, top: row * tileHeight, width: tileWidth, height: tileHeight })
-                    .jpeg({ quality: 90 })
-                    .toBuffer();
-                pieces.push({ label: `tile ${col},${row}`, buffer });
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        return { ok: false, error: 'thumbnail is not a readable image' };
+    }
+    if (!(metadata.width <= THUMBNAIL_MAX_DIMENSION && metadata.height <= THUMBNAIL_MAX_DIMENSION)) {
+        return { ok: false, error: `thumbnail is ${metadata.width}x${metadata.height}, over the ${THUMBNAIL_MAX_DIMENSION}px limit` };
+    }
+    const phash = await thumbnailPerceptualHash(buffer);
+    if (!phash) return { ok: false, error: 'thumbnail is not a readable image' };
+    return { ok: true, phash };
+}
+
+// Number of differing bits between two hashes
+function perceptualHashDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < 16; i += 8) {
+        let bits = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+        while (bits) {
+            bits &= bits - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+function isComparableHash(phash) {
+    if (!/^[0-9a-f]{16}$/.test(phash || '')) return false;
+    const setBits = perceptualHashDistance(phash, '0000000000000000');
+    return setBits >= PHASH_MIN_DETAIL_BITS && setBits <= 64 - PHASH_MIN_DETAIL_BITS;
+}
+
+function isNearDuplicate(a, b) {
+    return isComparableHash(a) && isComparableHash(b) && perceptualHashDistance(a, b) <= THUMBNAIL_DUPLICATE_DISTANCE;
+}
+
+// ---------------------------------------------------------------------------
+// Thumbnail renditions. The stored thumbnail ({id}.png, JPEG data despite the
+// name, kept as-is for the game) is the full-size JPEG. Every thumbnail also
+// gets small and medium JPEGs and a WebP and AVIF version of each size, in
+// thumbnail_renditions/{id}/. GET /api/thumbnails/:filename?size= serves the
+// best format the client lists in its Accept header (a bare */* gets JPEG,
+// which every client decodes) and falls back to the stored thumbnail while
+// renditions are missing. Renditions are built in the background after each
+// upload; existing thumbnails are backfilled at startup.
+// ---------------------------------------------------------------------------
+const THUMBNAIL_SIZES = { small: 320, medium: 640, full: null }; // Max width, null = as uploaded
+// In order of preference
+const THUMBNAIL_FORMATS = [
+    { ext: 'avif', type: 'image/avif', encode: image => image.avif({ quality: 50, effort: 2 }) },
+    { ext: 'webp', type: 'image/webp', encode: image => image.webp({ quality: 80 }) },
+    { ext: 'jpg', type: 'image/jpeg', encode: image => image.jpeg({ quality: 85, progressive: true }) }
+];
+let thumbnailBackfillRunning = false;
+let thumbnailRenditionQueue = Promise.resolve();
+
+function thumbnailRenditionPath(designId, size, ext) {
+    return path.join(THUMBNAIL_RENDITIONS_DIR, designId, `${size}.${ext}`);
+}
+
+function removeThumbnailRenditions(designId) {
+    fs.removeSync(path.join(THUMBNAIL_RENDITIONS_DIR, designId));
+}
+
+// (Re)builds every rendition from the design's stored thumbnail. Each file is
+// written under a temporary name first, so a request never gets half of one.
+// Returns false if there is nothing to build from, encoding failed or the
+// thumbnail was replaced or removed meanwhile (the newer upload queues its
+// own run).
+async function generateThumbnailRenditions(designId) {
+    removeThumbnailRenditions(designId);
+    const thumbnailPath = path.join(THUMBNAILS_DIR, `${designId}.png`);
+    if (!sharp || !fs.existsSync(thumbnailPath)) return false;
+
+    try {
+        const before = fs.statSync(thumbnailPath);
+        const source = fs.readFileSync(thumbnailPath);
+        fs.ensureDirSync(path.join(THUMBNAIL_RENDITIONS_DIR, designId));
+        for (const [size, width] of Object.entries(THUMBNAIL_SIZES)) {
+            for (const format of THUMBNAIL_FORMATS) {
+                if (size === 'full' && format.ext === 'jpg') continue; // The stored thumbnail itself
+                let image = sharp(source);
+                if (width) image = image.resize({ width, withoutEnlargement: true });
+                const target = thumbnailRenditionPath(designId, size, format.ext);
+                await format.encode(image).toFile(`${target}.tmp`);
+                const after = fs.existsSync(thumbnailPath) ? fs.statSync(thumbnailPath) : null;
+                if (!after || after.mtimeMs !== before.mtimeMs || after.size !== before.size) {
+                    removeThumbnailRenditions(designId);
+                    return false;
+                }
+                fs.renameSync(`${target}.tmp`, target);
+            }
+        }
+        return true;
+    } catch (error) {
+        console.error(`Thumbnail renditions failed for ${designId}:`, error.message);
+        removeThumbnailRenditions(designId);
+        return false;
+    }
+}
+
+// Drops the design's renditions right away, so requests get the stored
+// thumbnail meanwhile, and rebuilds them in the background, one design at a
+// time. Resolves to generateThumbnailRenditions' result.
+function queueThumbnailRenditions(designId) {
+    removeThumbnailRenditions(designId);
+    thumbnailRenditionQueue = thumbnailRenditionQueue
+        .then(() => generateThumbnailRenditions(designId))
+        .catch(error => console.error(`Thumbnail renditions failed for ${designId}:`, error));
+    return thumbnailRenditionQueue;
+}
+
+// The thumbnail URL stored on a design. ?v= changes with every revision, so
+// the thumbnail route can let clients cache it for good.
+function versionedThumbnailUrl(designId, revision) {
+    return `/api/thumbnails/${designId}.png?v=${revision}`;
+}
+
+// Content type from the file's first bytes: stored thumbnails are usually
+// JPEG in a .png file, but older ones may really be PNG
+function sniffImageType(header) {
+    if (header[0] === 0xff && header[1] === 0xd8) return 'image/jpeg';
+    if (header[0] === 0x89 && header.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+    if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    return 'application/octet-stream';
+}
+
+function sniffImageFile(filePath) {
+    const header = Buffer.alloc(12);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return sniffImageType(header);
+}
+
+// Only values an Accept or Accept-Encoding header names explicitly (and not
+// with q=0)
+function acceptsExplicitly(accept, value) {
+    return (accept || '').split(',').some(part => {
+        const [name, ...params] = part.trim().split(';');
+        return name.trim().toLowerCase() === value && !params.some(p => /^\s*q=0(\.0*)?\s*$/.test(p));
+    });
+}
+
+// Sends the rendition of a design's thumbnail that fits ?size= and the Accept
+// header, or the stored thumbnail. Express adds the ETag and answers
+// If-None-Match with 304.
+function sendThumbnail(req, res, designId, thumbnailPath, cacheControl) {
+    const size = req.query.size || 'full';
+    if (!Object.prototype.hasOwnProperty.call(THUMBNAIL_SIZES, size)) {
+        return res.status(400).json({ error: `size must be one of: ${Object.keys(THUMBNAIL_SIZES).join(', ')}` });
+    }
+
+    let filePath = thumbnailPath;
+    let type = null;
+    if (designId) {
+        for (const format of THUMBNAIL_FORMATS) {
+            if (format.ext !== 'jpg' && !acceptsExplicitly(req.headers.accept, format.type)) continue;
+            const candidate = size === 'full' && format.ext === 'jpg' ? thumbnailPath : thumbnailRenditionPath(designId, size, format.ext);
+            if (fs.existsSync(candidate)) {
+                filePath = candidate;
+                type = format.type;
+                break;
+            }
+        }
+    }
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    res.setHeader('Content-Type', type && filePath !== thumbnailPath ? type : sniffImageFile(filePath));
+    res.setHeader('Cache-Control', cacheControl);
+    res.setHeader('Vary', 'Accept');
+    res.sendFile(filePath);
+}
+
+// Builds renditions for stored thumbnails that have none (or, with force,
+// rebuilds all of them). One design at a time, in the background.
+async function backfillThumbnailRenditions({ force = false } = {}) {
+    if (thumbnailBackfillRunning || !sharp) return;
+    thumbnailBackfillRunning = true;
+    try {
+        let generated = 0;
+        for (const design of designStore.all()) {
+            if (design.deleted_at || !design.thumbnail_url) continue;
+            if (!force && fs.existsSync(path.join(THUMBNAIL_RENDITIONS_DIR, design.id))) continue;
+            if (await queueThumbnailRenditions(design.id)) generated++;
+        }
+        if (generated > 0) console.log(`Thumbnail renditions generated for ${generated} design(s)`);
+    } finally {
+        thumbnailBackfillRunning = false;
+    }
+}
+
+// The closest blocked thumbnail this one near-duplicates, or null: a design
+// quarantined by image moderation or deleted by a moderator (purged ones
+// too), or a logged image rejection no moderator has overridden. Returns { source:
+// 'quarantined' | 'deleted' | 'rejected', design_id, rejection_id, distance }.
+function findBlockedThumbnail(phash) {
+    if (!isComparableHash(phash)) return null;
+    const candidates = designStore.blockedThumbnailHashes().map(row => ({ source: row.source, design_id: row.id, phash: row.phash }));
+    for (const entry of readJsonStore(MODERATION_LOG_FILE, 'Moderation log')) {
+        // Duplicate-check rejections only echo the thumbnail they matched
+        if (!entry.phash || entry.duplicate_of || (entry.review && entry.review.action === 'published')) continue;
+        candidates.push({ source: 'rejected', design_id: entry.design_id, rejection_id: entry.id, phash: entry.phash });
+    }
+
+    let closest = null;
+    for (const candidate of candidates) {
+        if (!isNearDuplicate(phash, candidate.phash)) continue;
+        const distance = perceptualHashDistance(phash, candidate.phash);
+        if (!closest || distance < closest.distance) {
+            closest = { source: candidate.source, design_id: candidate.design_id, rejection_id: candidate.rejection_id, distance };
+        }
+    }
+    return closest;
+}
+
+// Hashes thumbnails stored before hashing existed. Runs in the background at
+// startup; designs whose thumbnail can't be hashed get null and are skipped
+// from then on.
+async function backfillThumbnailHashes() {
+    let hashed = 0;
+    for (const design of designStore.all()) {
+        if (design.thumbnail_phash !== undefined || !design.thumbnail_url) continue;
+        const thumbnailPath = path.join(THUMBNAILS_DIR, `${design.id}.png`);
+        if (!fs.existsSync(thumbnailPath)) continue;
+        const phash = await thumbnailPerceptualHash(fs.readFileSync(thumbnailPath));
+        designStore.update(design.id, d => {
+            d.thumbnail_phash = phash;
+        });
+        if (phash) hashed++;
+    }
+    if (hashed > 0) console.log(`Thumbnail hashes backfilled for ${hashed} design(s)`);
+}
+
+// ---------------------------------------------------------------------------
+// Thumbnail image moderation. IMAGE_MODERATION_PROVIDER picks the provider:
+//   azure  Azure AI Content Safety (the default when its endpoint/key are set).
+//          F0 free tier covers 5,000 images/month; current upload volume is
+//          well below.
+//   stub   a local HTTP stand-in speaking the same API (scripts/moderation-stub.js)
+//          that returns configured severities per tile, for CI and local dev
+//   none   moderation is skipped (the default without an Azure resource)
+// Thumbnails are checked in the background after the upload is stored (see
+// "Background image moderation"). Set MODERATION_FAIL_CLOSED=1 to keep a
+// design pending, retrying, whenever the check cannot run.
+// ---------------------------------------------------------------------------
+const MODERATION_ENDPOINT = (process.env.AZURE_CONTENT_SAFETY_ENDPOINT || '').replace(/\/+$/, '');
+const MODERATION_KEY = process.env.AZURE_CONTENT_SAFETY_KEY || '';
+const IMAGE_MODERATION_PROVIDER = (process.env.IMAGE_MODERATION_PROVIDER || (MODERATION_ENDPOINT && MODERATION_KEY ? 'azure' : 'none')).toLowerCase();
+const IMAGE_MODERATION_STUB_URL = (process.env.IMAGE_MODERATION_STUB_URL || 'http://127.0.0.1:4010').replace(/\/+$/, '');
+const MODERATION_SEVERITY_THRESHOLD = parseInt(process.env.MODERATION_SEVERITY_THRESHOLD || '2', 10);
+const MODERATION_FAIL_CLOSED = process.env.MODERATION_FAIL_CLOSED === '1';
+// Tiling: small explicit details (e.g. custom images in art frames) get diluted
+// at full-frame scale and score severity 0 — verified with a real incident image
+// that scored 0 whole but Sexual=6 on its 2x2 tiles. Each thumbnail is checked
+// as the full frame plus a COLSxROWS tile grid ('0' disables tiling).
+const MODERATION_TILE_GRID = (process.env.MODERATION_TILE_GRID || '2x2').toLowerCase();
+// The F0 free tier allows roughly 1 request/second, so calls are spaced out.
+const MODERATION_CALL_DELAY_MS = parseInt(process.env.MODERATION_CALL_DELAY_MS || '1100', 10);
+
+function sleepMs(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function prepareImageForModeration(base64Data) {
+    // Azure Content Safety caps input at 2048x2048 / 4MB — downscale bigger
+    // images for the moderation call only (the stored thumbnail is untouched).
+    let buffer = Buffer.from(base64Data.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+    if (!sharp) return buffer;
+    try {
+        const metadata = await sharp(buffer).metadata();
+        if (metadata.width > 2048 || metadata.height > 2048 || buffer.length > 4 * 1024 * 1024) {
+            buffer = await sharp(buffer)
+                .resize(1024, 1024, { fit: 'inside' })
+                .jpeg({ quality: 85 })
+                .toBuffer();
+        }
+    } catch (error) {
+        console.warn('Moderation pre-resize failed, sending original image:', error.message);
+    }
+    return buffer;
+}
+
+async function buildModerationPieces(base64Data) {
+    const fullBuffer = await prepareImageForModeration(base64Data);
+    const pieces = [{ label: 'full', buffer: fullBuffer }];
+    const gridMatch = MODERATION_TILE_GRID.match(/^(\d)x(\d)$/);
+    if (!sharp || !gridMatch) return pieces;
+    const cols = parseInt(gridMatch[1], 10);
+    const rows = parseInt(gridMatch[2], 10);
+    if (cols * rows <= 1) return pieces;
+    try {
+        const metadata = await sharp(fullBuffer).metadata();
+        const tileWidth = Math.floor(metadata.width / cols);
+        const tileHeight = Math.floor(metadata.height / rows);
+        if (tileWidth < 50 || tileHeight < 50) return pieces; // Azure minimum input size
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const buffer = await sharp(fullBuffer)
+                    .extract({ left: col * tileWidth, top: row * tileHeight, width: tileWidth, height: tileHeight })
+                    .jpeg({ quality: 90 })
+                    .toBuffer();
+                pieces.push({ label: `tile ${col},${row}`, buffer });
             }
         }
     } catch (error) {
@@ -569,12 +1731,14 @@ async function buildModerationPieces(base64Data) {
     return pieces;
 }
 
-async function analyzeImagePiece(buffer) {
+// Calls a Content Safety image:analyze endpoint (Azure's or the stub's).
+// Returns { ok, categories: [{ category, severity }] } or { ok: false, status }.
+async function analyzeWithContentSafety(endpoint, headers, buffer) {
     for (let attempt = 1; attempt <= 2; attempt++) {
-        const response = await fetch(`${MODERATION_ENDPOINT}/contentsafety/image:analyze?api-version=2024-09-01`, {
+        const response = await fetch(`${endpoint}/contentsafety/image:analyze?api-version=2024-09-01`, {
             method: 'POST',
             headers: {
-                'Ocp-Apim-Subscription-Key': MODERATION_KEY,
+                ...headers,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
@@ -601,86 +1765,474 @@ async function analyzeImagePiece(buffer) {
     return { ok: false, status: 429 };
 }
 
+// Each provider analyzes one piece (full frame or tile) at a time:
+// analyze(buffer, label) → { ok, categories } | { ok: false, status }.
+// callDelayMs spaces out the calls for one thumbnail.
+const IMAGE_MODERATION_PROVIDERS = {
+    azure: {
+        configured: () => !!(MODERATION_ENDPOINT && MODERATION_KEY),
+        callDelayMs: MODERATION_CALL_DELAY_MS,
+        analyze: buffer => analyzeWithContentSafety(MODERATION_ENDPOINT, { 'Ocp-Apim-Subscription-Key': MODERATION_KEY }, buffer)
+    },
+    stub: {
+        configured: () => !!IMAGE_MODERATION_STUB_URL,
+        callDelayMs: 0,
+        // The stub picks its answer by piece label ('full', 'tile 1,0', ...)
+        analyze: (buffer, label) => analyzeWithContentSafety(IMAGE_MODERATION_STUB_URL, { 'x-moderation-piece': label }, buffer)
+    },
+    none: {
+        configured: () => false
+    }
+};
+
+// The configured provider, or null if image moderation is off
+function activeImageModerationProvider() {
+    const provider = IMAGE_MODERATION_PROVIDERS[IMAGE_MODERATION_PROVIDER];
+    return provider && provider.configured() ? provider : null;
+}
+
+function describeImageModeration() {
+    if (!IMAGE_MODERATION_PROVIDERS[IMAGE_MODERATION_PROVIDER]) {
+        return `MISCONFIGURED (unknown IMAGE_MODERATION_PROVIDER "${IMAGE_MODERATION_PROVIDER}", uploads pass unchecked)`;
+    }
+    if (IMAGE_MODERATION_PROVIDER === 'none') {
+        return 'DISABLED (set AZURE_CONTENT_SAFETY_ENDPOINT + AZURE_CONTENT_SAFETY_KEY)';
+    }
+    if (!activeImageModerationProvider()) {
+        return `MISCONFIGURED (${IMAGE_MODERATION_PROVIDER} selected but not configured, uploads pass unchecked)`;
+    }
+    const target = IMAGE_MODERATION_PROVIDER === 'stub' ? ` at ${IMAGE_MODERATION_STUB_URL}` : '';
+    return `ENABLED (${IMAGE_MODERATION_PROVIDER}${target}, severity >= ${MODERATION_SEVERITY_THRESHOLD}, tiles ${MODERATION_TILE_GRID})`;
+}
+
 async function moderateImage(base64Data) {
-    if (!MODERATION_ENDPOINT || !MODERATION_KEY) {
+    const provider = activeImageModerationProvider();
+    if (!provider) {
         return { checked: false, flagged: false };
     }
     try {
         const pieces = await buildModerationPieces(base64Data);
+        const analyzed = []; // Per-piece scores, kept for the rejection review screen
         let allChecked = true;
         for (let i = 0; i < pieces.length; i++) {
-            if (i > 0 && MODERATION_CALL_DELAY_MS > 0) {
-                await sleepMs(MODERATION_CALL_DELAY_MS);
+            if (i > 0 && provider.callDelayMs > 0) {
+                await sleepMs(provider.callDelayMs);
             }
-            const verdict = await analyzeImagePiece(pieces[i].buffer);
+            const verdict = await provider.analyze(pieces[i].buffer, pieces[i].label);
             if (!verdict.ok) {
                 allChecked = false;
                 if (verdict.status === 429) break; // rate/quota exhausted — don't stall the upload on retries
                 continue;
             }
+            analyzed.push({ label: pieces[i].label, categories: verdict.categories });
             const flaggedCategories = verdict.categories.filter(c => c.severity >= MODERATION_SEVERITY_THRESHOLD);
             if (flaggedCategories.length > 0) {
                 return {
                     checked: true,
                     flagged: true,
                     categories: verdict.categories,
+                    pieces: analyzed,
                     reason: `${flaggedCategories.map(c => `${c.category}=${c.severity}`).join(', ')} [${pieces[i].label}]`
                 };
             }
         }
-        return { checked: allChecked, flagged: false };
+        return { checked: allChecked, flagged: false, pieces: analyzed };
     } catch (error) {
         console.error('Image moderation call failed:', error.message);
         return { checked: false, flagged: false };
     }
 }
 
-function logModerationRejection(entry) {
-    // Best-effort audit trail so rejected uploads can be reviewed (no image data stored)
+// ---------------------------------------------------------------------------
+// Rejection log and quarantine. Every rejected upload is logged (last
+// MODERATION_LOG_LIMIT) with its scores. With MODERATION_QUARANTINE_KEY set,
+// the rejected upload itself (save data, thumbnail and upload fields) is also
+// kept, AES-256-GCM encrypted, in storage/quarantine/<rejection id>.bin so a
+// moderator can look at the thumbnail and publish a false positive. Without
+// the key no image data is stored. Quarantined uploads go when their log
+// entry drops off the end, or when a moderator publishes or dismisses them.
+// ---------------------------------------------------------------------------
+const MODERATION_LOG_LIMIT = 500;
+const QUARANTINE_KEY = process.env.MODERATION_QUARANTINE_KEY
+    ? crypto.createHash('sha256').update(process.env.MODERATION_QUARANTINE_KEY).digest()
+    : null;
+
+function quarantineFilePath(rejectionId) {
+    return path.join(QUARANTINE_DIR, `${rejectionId}.bin`);
+}
+
+// File layout: 12-byte IV, 16-byte auth tag, then the encrypted JSON payload
+function writeQuarantinedUpload(rejectionId, upload) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', QUARANTINE_KEY, iv);
+    // A streamed upload's save is still a temp file that is about to be
+    // removed, so keep its bytes instead of the path
+    const { saveFile, ...payload } = upload;
+    if (saveFile) payload.saveData = fs.readFileSync(saveFile).toString('base64');
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    fs.writeFileSync(quarantineFilePath(rejectionId), Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+}
+
+// Returns the quarantined upload, or null if there is none (or the key
+// changed since it was written)
+function readQuarantinedUpload(rejectionId) {
+    const filePath = quarantineFilePath(rejectionId);
+    if (!QUARANTINE_KEY || !fs.existsSync(filePath)) return null;
     try {
-        let log = [];
-        try { log = fs.readJsonSync(MODERATION_LOG_FILE); } catch (error) { /* first write */ }
-        log.push(entry);
-        if (log.length > 500) log = log.slice(-500);
-        fs.writeJsonSync(MODERATION_LOG_FILE, log, { spaces: 2 });
+        const data = fs.readFileSync(filePath);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', QUARANTINE_KEY, data.subarray(0, 12));
+        decipher.setAuthTag(data.subarray(12, 28));
+        const decrypted = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+        return JSON.parse(decrypted.toString('utf8'));
     } catch (error) {
-        console.error('Failed to write moderation rejection log:', error);
+        console.error(`Quarantined upload ${rejectionId} could not be decrypted:`, error.message);
+        return null;
     }
 }
 
-// Crash report helper functions
-function loadCrashesMetadata() {
+function removeQuarantinedUpload(rejectionId) {
+    fs.removeSync(quarantineFilePath(rejectionId));
+}
+
+// Logs a rejection and, if quarantine is on and `upload` is given, keeps the
+// encrypted upload. Returns the rejection id.
+function logModerationRejection(entry, upload) {
+    // Best-effort audit trail so rejected uploads can be reviewed
+    const rejection = { id: uuidv4(), ...entry, quarantined: false };
     try {
-        return fs.readJsonSync(CRASHES_METADATA_FILE);
+        if (QUARANTINE_KEY && upload) {
+            try {
+                writeQuarantinedUpload(rejection.id, upload);
+                rejection.quarantined = true;
+            } catch (error) {
+                console.error('Failed to quarantine rejected upload:', error);
+            }
+        }
+        let log = readJsonStore(MODERATION_LOG_FILE, 'Moderation log');
+        log.push(rejection);
+        if (log.length > MODERATION_LOG_LIMIT) {
+            for (const dropped of log.slice(0, log.length - MODERATION_LOG_LIMIT)) {
+                if (dropped.quarantined && dropped.id) removeQuarantinedUpload(dropped.id);
+            }
+            log = log.slice(-MODERATION_LOG_LIMIT);
+        }
+        writeJsonStore(MODERATION_LOG_FILE, 'Moderation log', log);
     } catch (error) {
-        console.error('Error loading crashes metadata:', error);
-        return [];
+        console.error('Failed to write moderation rejection log:', error);
     }
+    return rejection.id;
 }
 
-function saveCrashesMetadata(metadata) {
-    try {
-        fs.writeJsonSync(CRASHES_METADATA_FILE, metadata, { spaces: 2 });
-    } catch (error) {
-        console.error('Error saving crashes metadata:', error);
+// Read-modify-write of one log entry; returns it, or null if it's gone
+function updateModerationRejection(rejectionId, mutate) {
+    const log = readJsonStore(MODERATION_LOG_FILE, 'Moderation log');
+    const rejection = log.find(entry => entry.id === rejectionId);
+    if (!rejection) return null;
+    mutate(rejection);
+    writeJsonStore(MODERATION_LOG_FILE, 'Moderation log', log);
+    return rejection;
+}
+
+// ---------------------------------------------------------------------------
+// Text moderation for uploaded titles, descriptions and author names. Each
+// provider in TEXT_MODERATION_PROVIDERS (comma-separated, checked in order;
+// unconfigured ones are skipped) returns { checked, flagged, field, reason }:
+//   wordlist  blocked words and regexes from storage/text_moderation.json
+//   remote    POSTs the text to TEXT_MODERATION_URL
+// Matching is done on the lowercased, accent-stripped text. Words only match
+// whole words ("ass" doesn't flag "classic"); a word written in Chinese,
+// Japanese or Korean matches anywhere, since those don't separate words.
+// Flagged uploads are rejected, never rewritten, so no more "cl***ic".
+// ---------------------------------------------------------------------------
+const TEXT_MODERATION_URL = process.env.TEXT_MODERATION_URL || '';
+const TEXT_MODERATION_KEY = process.env.TEXT_MODERATION_KEY || '';
+const TEXT_MODERATION_PROVIDER_ORDER = (process.env.TEXT_MODERATION_PROVIDERS || 'wordlist,remote')
+    .split(',').map(name => name.trim()).filter(Boolean);
+const MAX_BLOCKED_WORDS = 5000;
+const MAX_BLOCKED_PATTERNS = 200;
+const MAX_BLOCKED_ENTRY_LENGTH = 200;
+const MAX_BLOCKED_PATTERN_LENGTH = 100;
+// Longest moderated text (the description limit) and the most ways a
+// pattern's quantifiers may split one text, see unsafePatternReason()
+const MODERATED_TEXT_MAX_LENGTH = 2000;
+const MAX_PATTERN_SPLITS = 5000;
+const MODERATED_TEXT_FIELDS = ['title', 'description', 'author_name'];
+
+function loadTextModerationList() {
+    const list = readJsonStore(TEXT_MODERATION_FILE, 'Text moderation', {});
+    return {
+        words: Array.isArray(list.words) ? list.words : [],
+        patterns: Array.isArray(list.patterns) ? list.patterns : []
+    };
+}
+
+function saveTextModerationList(list) {
+    writeJsonStore(TEXT_MODERATION_FILE, 'Text moderation', list);
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One regex per blocked word: spaces in a phrase match any run of
+// whitespace, and non-CJK words must not touch a letter or digit either side
+function blockedWordRegex(word) {
+    const body = foldSearchText(word).trim().split(/\s+/).map(escapeRegex).join('\\s+');
+    if (CJK_CHAR_REGEX.test(word)) return new RegExp(body, 'u');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'u');
+}
+
+// Splits a regex into atoms ({ type: 'literal', char } | 'class' | 'anchor' |
+// 'open' | 'close' | 'alt'), each with its quantifier as { min, max }.
+// Returns { tokens } or { error }. Only sees as much syntax as
+// unsafePatternReason() needs; the pattern has already compiled.
+function tokenizePattern(pattern) {
+    const tokens = [];
+    let i = 0;
+    while (i < pattern.length) {
+        const c = pattern[i];
+        let token;
+        if (c === '\\') {
+            const next = pattern[i + 1];
+            if (/[1-9k]/.test(next)) return { error: 'backreferences are not allowed' };
+            let end = i + 2;
+            if ('pPu'.includes(next) && pattern[end] === '{') end = pattern.indexOf('}', end) + 1;
+            else if (next === 'u') end = i + 6;
+            else if (next === 'x') end = i + 4;
+            else if (next === 'c') end = i + 3;
+            if (next === 'b' || next === 'B') token = { type: 'anchor' };
+            else if (/[^a-zA-Z0-9]/.test(next)) token = { type: 'literal', char: next };
+            else token = { type: 'class' };
+            i = end;
+        } else if (c === '[') {
+            let j = i + 1;
+            while (j < pattern.length && pattern[j] !== ']') j += pattern[j] === '\\' ? 2 : 1;
+            token = { type: 'class' };
+            i = j + 1;
+        } else if (c === '(') {
+            const prefix = pattern.slice(i).match(/^\((?:\?(?::|=|!|<=|<!|<[^>]+>))?/)[0];
+            token = { type: 'open' };
+            i += prefix.length;
+        } else if (c === ')' || c === '|') {
+            token = { type: c === ')' ? 'close' : 'alt' };
+            i++;
+        } else if (c === '^' || c === '$') {
+            token = { type: 'anchor' };
+            i++;
+        } else {
+            token = { type: c === '.' ? 'class' : 'literal', char: c.toLowerCase() };
+            i++;
+        }
+
+        const quantifier = pattern.slice(i).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+        if (quantifier) {
+            const [text, min, comma, max] = quantifier;
+            if (text[0] === '*') token.quantifier = { min: 0, max: Infinity };
+            else if (text[0] === '+') token.quantifier = { min: 1, max: Infinity };
+            else if (text[0] === '?') token.quantifier = { min: 0, max: 1 };
+            else token.quantifier = { min: Number(min), max: comma ? (max ? Number(max) : Infinity) : Number(min) };
+            i += text.length;
+        }
+        tokens.push(token);
     }
+    return { tokens };
 }
 
-function loadCrashGroups() {
-    try {
-        return fs.readJsonSync(CRASH_GROUPS_FILE);
-    } catch (error) {
-        console.error('Error loading crash groups:', error);
-        return [];
+// Admin patterns run against every upload's text on the event loop, so one
+// that backtracks catastrophically would stall the server. A pattern is
+// only accepted if its matching cost is bounded:
+//   - no backreferences
+//   - no repeated group that itself holds a quantifier or an alternation
+//     ((a+)+, (a|ab)*: exponential)
+//   - its variable-length quantifiers may split a text at most
+//     MAX_PATTERN_SPLITS ways (.*.* or \w+\w+ are already quadratic per
+//     start position). A repeated character followed by a different,
+//     required one (b+a+d) can only split one way and costs nothing.
+// Returns the reason a pattern is refused, or null if it is safe.
+function unsafePatternReason(pattern) {
+    if (pattern.length > MAX_BLOCKED_PATTERN_LENGTH) return `longer than ${MAX_BLOCKED_PATTERN_LENGTH} characters`;
+    const { tokens, error } = tokenizePattern(pattern);
+    if (error) return error;
+
+    const groups = [{ quantified: false, alternation: false }];
+    let splits = 1;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const group = groups[groups.length - 1];
+        if (token.type === 'open') {
+            groups.push({ quantified: false, alternation: false });
+            continue;
+        }
+        if (token.type === 'alt') {
+            group.alternation = true;
+            continue;
+        }
+        if (token.type === 'close') {
+            groups.pop();
+            const parent = groups[groups.length - 1];
+            if (token.quantifier && token.quantifier.max > 1 && (group.quantified || group.alternation)) {
+                return 'nested quantifiers are not allowed (a repeated group may not contain a quantifier or |)';
+            }
+            if (group.quantified || token.quantifier) parent.quantified = true;
+        } else if (token.quantifier) {
+            group.quantified = true;
+        }
+
+        const { min, max } = token.quantifier || { min: 1, max: 1 };
+        if (min === max) continue;
+        const next = tokens[i + 1];
+        const distinctNext = token.type === 'literal' && min >= 1 && (!next
+            || (next.type === 'literal' && next.char !== token.char && (!next.quantifier || next.quantifier.min >= 1)));
+        if (!distinctNext) {
+            splits *= max === Infinity ? MODERATED_TEXT_MAX_LENGTH : max - min + 1;
+        }
     }
+    if (splits > MAX_PATTERN_SPLITS) {
+        return 'too many open-ended quantifiers (at most one *, + or {n,} that can overlap its neighbours)';
+    }
+    return null;
 }
 
-function saveCrashGroups(groups) {
+// Validate an incoming { words, patterns } list
+function validateTextModerationList(list) {
+    if (!list || typeof list !== 'object') return { ok: false, error: 'body must be { words, patterns }' };
+    const words = list.words === undefined ? [] : list.words;
+    const patterns = list.patterns === undefined ? [] : list.patterns;
+    if (!Array.isArray(words) || !Array.isArray(patterns)) {
+        return { ok: false, error: 'words and patterns must be arrays' };
+    }
+    if (words.length > MAX_BLOCKED_WORDS) return { ok: false, error: `too many words (max ${MAX_BLOCKED_WORDS})` };
+    if (patterns.length > MAX_BLOCKED_PATTERNS) return { ok: false, error: `too many patterns (max ${MAX_BLOCKED_PATTERNS})` };
+
+    const cleanedWords = [];
+    for (const word of words) {
+        const trimmed = typeof word === 'string' ? word.trim() : '';
+        if (!trimmed || trimmed.length > MAX_BLOCKED_ENTRY_LENGTH) {
+            return { ok: false, error: `invalid word "${word}" (non-empty string, max ${MAX_BLOCKED_ENTRY_LENGTH} characters)` };
+        }
+        if (!cleanedWords.includes(trimmed)) cleanedWords.push(trimmed);
+    }
+    for (const pattern of patterns) {
+        if (typeof pattern !== 'string' || !pattern || pattern.length > MAX_BLOCKED_ENTRY_LENGTH) {
+            return { ok: false, error: `invalid pattern "${pattern}" (non-empty string, max ${MAX_BLOCKED_ENTRY_LENGTH} characters)` };
+        }
+        try {
+            new RegExp(pattern, 'iu');
+        } catch (error) {
+            return { ok: false, error: `invalid pattern "${pattern}": ${error.message}` };
+        }
+        const unsafe = unsafePatternReason(pattern);
+        if (unsafe) {
+            return { ok: false, error: `pattern "${pattern}" refused: ${unsafe}` };
+        }
+    }
+    return { ok: true, list: { words: cleanedWords, patterns: [...new Set(patterns)] } };
+}
+
+async function checkTextWithWordlist(fields) {
+    const list = loadTextModerationList();
+    const rules = [
+        ...list.words.map(word => ({ regex: blockedWordRegex(word), label: `word "${word}"` })),
+        // Patterns saved before they were checked are skipped if unsafe
+        // (listed at startup)
+        ...list.patterns.filter(pattern => !unsafePatternReason(pattern))
+            .map(pattern => ({ regex: new RegExp(pattern, 'iu'), label: `pattern /${pattern}/` }))
+    ];
+    for (const field of MODERATED_TEXT_FIELDS) {
+        const text = foldSearchText(fields[field] || '');
+        if (!text) continue;
+        const rule = rules.find(r => r.regex.test(text));
+        if (rule) {
+            return { checked: true, flagged: true, field, reason: `${field} matched ${rule.label}` };
+        }
+    }
+    return { checked: true, flagged: false };
+}
+
+// Startup notes on the wordlist: it ships empty, so until it is filled in
+// the wordlist provider passes everything
+function reportTextModerationList() {
+    if (!activeTextModerationProviders().includes('wordlist')) return;
+    const list = loadTextModerationList();
+    if (list.words.length === 0 && list.patterns.length === 0) {
+        console.warn('Text moderation wordlist is EMPTY: no text is blocked until words are added (POST /api/admin/text-moderation)');
+        return;
+    }
+    for (const pattern of list.patterns) {
+        const unsafe = unsafePatternReason(pattern);
+        if (unsafe) console.warn(`Text moderation pattern /${pattern}/ is skipped: ${unsafe}`);
+    }
+}
+
+// Remote provider contract: POST { fields: { title, description, author_name } }
+// → { flagged: boolean, field?: string, reason?: string }
+async function checkTextRemotely(fields) {
     try {
-        fs.writeJsonSync(CRASH_GROUPS_FILE, groups, { spaces: 2 });
+        const response = await fetch(TEXT_MODERATION_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(TEXT_MODERATION_KEY ? { Authorization: `Bearer ${TEXT_MODERATION_KEY}` } : {})
+            },
+            body: JSON.stringify({ fields }),
+            signal: AbortSignal.timeout(5000)
+        });
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            console.error(`Text moderation API error ${response.status}: ${errorText.slice(0, 300)}`);
+            return { checked: false, flagged: false };
+        }
+        const result = await response.json();
+        if (result.flagged !== true) return { checked: true, flagged: false };
+        const field = MODERATED_TEXT_FIELDS.includes(result.field) ? result.field : null;
+        return {
+            checked: true,
+            flagged: true,
+            field,
+            reason: typeof result.reason === 'string' ? result.reason.slice(0, 300) : 'flagged by remote provider'
+        };
     } catch (error) {
-        console.error('Error saving crash groups:', error);
+        console.error('Text moderation call failed:', error.message);
+        return { checked: false, flagged: false };
+    }
+}
+
+const TEXT_MODERATION_PROVIDERS = {
+    wordlist: { configured: () => true, check: checkTextWithWordlist },
+    remote: { configured: () => !!TEXT_MODERATION_URL, check: checkTextRemotely }
+};
+
+function activeTextModerationProviders() {
+    return TEXT_MODERATION_PROVIDER_ORDER.filter(name => TEXT_MODERATION_PROVIDERS[name]?.configured());
+}
+
+// Runs every active provider until one flags the text. `checked` is false if
+// any provider couldn't give a verdict.
+async function moderateText(fields) {
+    let allChecked = true;
+    for (const name of activeTextModerationProviders()) {
+        const verdict = await TEXT_MODERATION_PROVIDERS[name].check(fields);
+        if (verdict.flagged) return { ...verdict, provider: name };
+        if (!verdict.checked) allChecked = false;
     }
+    return { checked: allChecked, flagged: false };
+}
+
+// Crash report helper functions
+function loadCrashesMetadata() {
+    return readJsonStore(CRASHES_METADATA_FILE, 'Crashes metadata');
+}
+
+function saveCrashesMetadata(metadata) {
+    writeJsonStore(CRASHES_METADATA_FILE, 'Crashes metadata', metadata);
+}
+
+function loadCrashGroups() {
+    return readJsonStore(CRASH_GROUPS_FILE, 'Crash groups');
+}
+
+function saveCrashGroups(groups) {
+    writeJsonStore(CRASH_GROUPS_FILE, 'Crash groups', groups);
 }
 
 // Extract crash context from UE5 crash report ZIP
@@ -951,508 +2503,2977 @@ function categorizeAndGroupCrash(crashId) {
     console.log(`Crash ${crashId} -> ${category} -> group "${group.title}" (${group.count} crashes)`);
 }
 
-// API Routes
+// Designs and likes used to live in metadata.json / design_likes.json. Import
+// them into designs.db once and keep the old files (renamed *.imported) as a
+// backup. A failed import throws, which stops the boot instead of serving an
+// empty catalogue; it is retried on the next start.
+runMigrationOnce('import-metadata-json', () => {
+    let designs = [];
+    let likes = [];
+    if (fs.existsSync(METADATA_FILE)) designs = fs.readJsonSync(METADATA_FILE);
+    if (fs.existsSync(DESIGN_LIKES_FILE)) likes = fs.readJsonSync(DESIGN_LIKES_FILE);
+    if (!Array.isArray(designs) || !Array.isArray(likes)) {
+        throw new Error('metadata.json / design_likes.json is not an array');
+    }
 
-// Upload design
-app.post('/api/designs', requireApiKey, async (req, res) => {
-    try {
-        const { designId, title, description, authorName, level, saveData, thumbnail, christmasEvent } = req.body;
+    const insertLike = designsDb.prepare('INSERT OR IGNORE INTO design_likes (design_id, player, date) VALUES (?, ?, ?)');
+    designsDb.transaction(() => {
+        for (const design of designs) {
+            if (design && design.id) designStore.save(design);
+        }
+        for (const like of likes) {
+            if (like && like.design_id && like.player) insertLike.run(like.design_id, like.player, like.date || new Date().toISOString());
+        }
+    })();
 
+    for (const file of [METADATA_FILE, DESIGN_LIKES_FILE]) {
+        if (fs.existsSync(file)) fs.renameSync(file, `${file}.imported`);
+    }
+    console.log(`Imported ${designs.length} design(s) and ${likes.length} like(s) into ${path.basename(DESIGNS_DB_FILE)}`);
+});
 
-        // Validate required fields
-        if (!title || !saveData) {
-            return res.status(400).json({ error: 'Title and saveData are required' });
+// Likes used to be folded into download_count (+1/-1 per like call), so the
+// stored number is downloads plus net likes. The split can't be recovered
+// after the fact (no like was ever logged, so there is nothing to estimate
+// from): existing download_count values are kept as-is, still including
+// those likes, and every design starts with like_count 0 from here on.
+runMigrationOnce('split-like-count', () => {
+    let migrated = 0;
+    for (const design of designStore.all()) {
+        if (typeof design.like_count !== 'number') {
+            design.like_count = 0;
+            designStore.save(design);
+            migrated++;
         }
+    }
+    console.log(`Like count split: ${migrated} design(s) given a like_count (download_count kept as blended value)`);
+});
 
-        // Input length validation
-        if (typeof title !== 'string' || title.length > 200) {
-            return res.status(400).json({ error: 'Title must be a string under 200 characters' });
-        }
+// Index designs stored before the search index existed
+runMigrationOnce('build-search-index', () => {
+    const designs = designStore.all();
+    for (const design of designs) {
+        designStore.save(design);
+    }
+    console.log(`Search index built for ${designs.length} design(s)`);
+});
+
+// ---------------------------------------------------------------------------
+// Seasonal events. Each event in storage/events.json has an id, a name, a
+// submission window [starts_at, ends_at) and optional submission rules:
+//   levels                  only designs whose level contains one of these
+//   require_thumbnail       entries must include a thumbnail
+//   max_entries_per_player  0 = unlimited; otherwise needs playerId/steamId
+// A design enters at most one event (its event_id). Events whose id starts
+// with "christmas-" also stand in for the old christmas_event flag: old
+// clients' christmasEvent: true enters the running Christmas event, and
+// responses still carry christmas_event for them.
+// ---------------------------------------------------------------------------
+
+const EVENT_ID_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_EVENT_ID_LENGTH = 40;
+const MAX_EVENTS = 100;
+const CHRISTMAS_EVENT_PREFIX = 'christmas-';
+// Where designs flagged christmas_event before events existed were migrated
+const LEGACY_CHRISTMAS_EVENT_ID = 'christmas-2025';
+
+function loadEvents() {
+    const list = readJsonStore(EVENTS_FILE, 'Events');
+    return Array.isArray(list) ? list : [];
+}
+
+function saveEvents(events) {
+    writeJsonStore(EVENTS_FILE, 'Events', events);
+}
+
+function isEventActive(event, now = Date.now()) {
+    return Date.parse(event.starts_at) <= now && now < Date.parse(event.ends_at);
+}
+
+function isChristmasEventId(eventId) {
+    return typeof eventId === 'string' && eventId.startsWith(CHRISTMAS_EVENT_PREFIX);
+}
+
+// The event a design (or revision) record belongs to. Records written before
+// events existed only carry the christmas_event flag.
+function designEventId(record) {
+    if (record.event_id !== undefined) return record.event_id || null;
+    return record.christmas_event === true ? LEGACY_CHRISTMAS_EVENT_ID : null;
+}
+
+// Validate an incoming event list (replaces the whole store)
+function validateEvents(list) {
+    if (!Array.isArray(list)) return { ok: false, error: 'events must be an array' };
+    if (list.length > MAX_EVENTS) return { ok: false, error: `too many events (max ${MAX_EVENTS})` };
+
+    const seen = new Set();
+    const cleaned = [];
+
+    for (const entry of list) {
+        if (!entry || typeof entry !== 'object') return { ok: false, error: 'each event must be an object' };
+
+        const id = String(entry.id || '').trim().toLowerCase();
+        if (!EVENT_ID_REGEX.test(id) || id.length > MAX_EVENT_ID_LENGTH) {
+            return { ok: false, error: `invalid event id "${entry.id}" (lowercase letters, numbers and dashes, max ${MAX_EVENT_ID_LENGTH})` };
+        }
+        if (seen.has(id)) return { ok: false, error: `duplicate event id "${id}"` };
+        seen.add(id);
+
+        const startsAt = Date.parse(entry.starts_at);
+        const endsAt = Date.parse(entry.ends_at);
+        if (isNaN(startsAt) || isNaN(endsAt)) {
+            return { ok: false, error: `"${id}": starts_at and ends_at must be valid dates` };
+        }
+        if (endsAt <= startsAt) return { ok: false, error: `"${id}": ends_at must be after starts_at` };
+
+        const rules = entry.rules && typeof entry.rules === 'object' ? entry.rules : {};
+        const levels = Array.isArray(rules.levels) ? rules.levels.filter(l => typeof l === 'string' && l.trim() !== '').map(l => l.trim()) : [];
+        const maxEntries = parseInt(rules.max_entries_per_player, 10);
+
+        cleaned.push({
+            id,
+            name: String(entry.name || '').trim().slice(0, 80) || id,
+            starts_at: new Date(startsAt).toISOString(),
+            ends_at: new Date(endsAt).toISOString(),
+            rules: {
+                levels,
+                require_thumbnail: rules.require_thumbnail === true,
+                max_entries_per_player: maxEntries > 0 ? maxEntries : 0
+            }
+        });
+    }
+
+    return { ok: true, events: cleaned };
+}
+
+// Checks whether an upload may enter an event. `entry` carries the upload's
+// level, whether it has a thumbnail, the player hash and the design id.
+function checkEventEntry(event, entry) {
+    if (!event) return { ok: false, error: 'Unknown event' };
+    if (!isEventActive(event)) return { ok: false, error: 'Event is not accepting submissions' };
+
+    const rules = event.rules || {};
+    if (rules.levels && rules.levels.length > 0 && !rules.levels.some(l => (entry.level || '').includes(l))) {
+        return { ok: false, error: 'Design level is not part of this event' };
+    }
+    if (rules.require_thumbnail && !entry.hasThumbnail) {
+        return { ok: false, error: 'Event entries need a thumbnail' };
+    }
+    if (rules.max_entries_per_player > 0) {
+        if (!entry.playerHash) {
+            return { ok: false, error: 'Event entries need a playerId or steamId' };
+        }
+        const entries = designStore.all().filter(d =>
+            d.id !== entry.designId && designEventId(d) === event.id && d.owner_player === entry.playerHash
+        ).length;
+        if (entries >= rules.max_entries_per_player) {
+            return { ok: false, error: `Event allows ${rules.max_entries_per_player} entr${rules.max_entries_per_player === 1 ? 'y' : 'ies'} per player` };
+        }
+    }
+    return { ok: true };
+}
+
+// Works out which event an upload ends up in. New clients send eventId
+// (null/'' leaves the current event; omitted keeps it). Old clients send the
+// christmasEvent boolean, which maps onto the running Christmas event and is
+// turned away like a closed eventId when there is none (or the upload breaks
+// its rules), so the player sees the upload fail rather than miss the event.
+// A design may always be re-uploaded into the event it already belongs to,
+// even after the event has closed.
+function resolveUploadEvent({ eventId, christmasEvent }, existingDesign, entry) {
+    const current = existingDesign ? designEventId(existingDesign) : null;
+
+    if (eventId !== undefined) {
+        if (eventId === null || eventId === '') return { ok: true, eventId: null };
+        if (typeof eventId !== 'string') return { ok: false, error: 'eventId must be a string' };
+        if (eventId === current) return { ok: true, eventId };
+        const check = checkEventEntry(loadEvents().find(e => e.id === eventId), entry);
+        return check.ok ? { ok: true, eventId } : check;
+    }
+
+    if (christmasEvent === true) {
+        if (isChristmasEventId(current)) return { ok: true, eventId: current };
+        const running = loadEvents().find(e => isChristmasEventId(e.id) && isEventActive(e));
+        const check = running ? checkEventEntry(running, entry) : { ok: false, error: 'Event is not accepting submissions' };
+        if (check.ok) return { ok: true, eventId: running.id };
+        console.warn(`Upload rejected: christmasEvent set for ${entry.designId} but ${running ? `it can't enter ${running.id} (${check.error})` : 'no Christmas event is open'}`);
+        return check;
+    }
+    if (christmasEvent === false && isChristmasEventId(current)) {
+        return { ok: true, eventId: null };
+    }
+    return { ok: true, eventId: current };
+}
+
+// Move the christmas_event flag into the christmas-2025 event
+runMigrationOnce('christmas-event-to-events', () => {
+    const events = loadEvents();
+    if (!events.some(e => e.id === LEGACY_CHRISTMAS_EVENT_ID)) {
+        events.push({
+            id: LEGACY_CHRISTMAS_EVENT_ID,
+            name: 'Christmas 2025',
+            starts_at: '2025-12-01T00:00:00.000Z',
+            ends_at: '2026-01-07T00:00:00.000Z',
+            rules: { levels: [], require_thumbnail: false, max_entries_per_player: 0 }
+        });
+        saveEvents(events);
+    }
+
+    let migrated = 0;
+    for (const design of designStore.all()) {
+        if (design.event_id !== undefined && design.christmas_event === undefined) continue;
+        design.event_id = designEventId(design);
+        delete design.christmas_event;
+        designStore.save(design);
+        if (design.event_id) migrated++;
+    }
+    console.log(`Christmas event flag migrated: ${migrated} design(s) moved to event ${LEGACY_CHRISTMAS_EVENT_ID}`);
+});
+
+// ---------------------------------------------------------------------------
+// Design ownership. The first upload of a design returns a secret owner token
+// (only its SHA-256 is stored) and, when the game sends a playerId/steamId,
+// also binds the design to that hashed player. Re-uploading or deleting the
+// design later needs either the token (body ownerToken or x-owner-token
+// header) or the same player identity. Designs uploaded before ownership
+// existed have neither and can't be overwritten by anyone (their IDs are
+// public in browse, so "first upload claims it" would let anyone take them
+// over) until a moderator assigns an owner with POST /api/admin/assign-owner.
+// ---------------------------------------------------------------------------
+
+// Fields that never leave the server in player-facing responses
+const PRIVATE_DESIGN_FIELDS = ['owner_token_hash', 'owner_player'];
+// Moderation and deletion state, shown to admins only
+const MODERATION_DESIGN_FIELDS = ['visibility_reason', 'visibility_changed_at', 'deleted_at', 'deleted_by', 'moderation_status', 'thumbnail_phash'];
+
+function toPublicDesign(design) {
+    const publicDesign = { ...design };
+    for (const field of [...PRIVATE_DESIGN_FIELDS, ...MODERATION_DESIGN_FIELDS]) delete publicDesign[field];
+    publicDesign.visibility = designVisibility(design);
+    publicDesign.event_id = designEventId(design);
+    publicDesign.christmas_event = isChristmasEventId(publicDesign.event_id); // Old clients
+    return publicDesign;
+}
+
+function hashOwnerToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isDesignClaimed(design) {
+    return !!(design.owner_token_hash || design.owner_player);
+}
+
+function isDesignOwner(design, req) {
+    const token = req.body?.ownerToken || req.headers['x-owner-token'];
+    if (design.owner_token_hash && typeof token === 'string' && token.length > 0) {
+        const expected = Buffer.from(design.owner_token_hash, 'hex');
+        const actual = Buffer.from(hashOwnerToken(token), 'hex');
+        if (crypto.timingSafeEqual(expected, actual)) return true;
+    }
+    const playerHash = resolvePlayerHash(req.body);
+    return !!(design.owner_player && playerHash && design.owner_player === playerHash);
+}
+
+// ---------------------------------------------------------------------------
+// Design visibility. Every design has a visibility:
+//   public       listed in browse, top and featured
+//   unlisted     not listed, but downloadable by id (shared directly)
+//   hidden       taken down by moderation (reports or a moderator)
+//   quarantined  held back by moderation pending review
+// Hidden and quarantined designs 404 for players but still download for
+// admins, as do designs still waiting for image moderation (see "Background
+// image moderation"). Deleting a design is a soft delete: it disappears for players at
+// once and its files are purged DESIGN_RETENTION_DAYS later, until then an
+// admin can restore it.
+// ---------------------------------------------------------------------------
+
+const DESIGN_VISIBILITIES = ['public', 'unlisted', 'hidden', 'quarantined'];
+// Values a player can pick on upload; the others are set by moderation
+const PLAYER_VISIBILITIES = ['public', 'unlisted'];
+const DESIGN_RETENTION_DAYS = Math.max(1, parseInt(process.env.DESIGN_RETENTION_DAYS, 10) || 30);
+const DESIGN_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+function designVisibility(design) {
+    return DESIGN_VISIBILITIES.includes(design.visibility) ? design.visibility : 'public';
+}
+
+// Shown in browse, top and featured
+function isListedDesign(design) {
+    return designVisibility(design) === 'public' && !design.deleted_at && !isPendingReview(design);
+}
+
+// Downloadable by players who know the id
+function isVisibleToPlayers(design) {
+    return PLAYER_VISIBILITIES.includes(designVisibility(design)) && !design.deleted_at && !isPendingReview(design);
+}
+
+// Looks up a design the requester may see: admins see everything but purged
+// designs, players only public and unlisted ones. Returns null otherwise.
+function getVisibleDesign(designId, req) {
+    const design = designStore.get(designId);
+    if (!design) return null;
+    if (hasValidAdminKey(req) || isVisibleToPlayers(design)) return design;
+    return null;
+}
+
+function setDesignVisibility(design, visibility, reason, now = new Date().toISOString()) {
+    design.visibility = visibility;
+    design.visibility_reason = reason || null;
+    design.visibility_changed_at = now;
+}
+
+// Marks a design deleted; `by` is 'owner' or 'admin'. Returns the updated
+// design, or null if it doesn't exist.
+function softDeleteDesign(designId, by) {
+    return designStore.update(designId, design => {
+        design.deleted_at = new Date().toISOString();
+        design.deleted_by = by;
+    });
+}
+
+function designPurgeDate(design) {
+    return new Date(Date.parse(design.deleted_at) + DESIGN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function restoreDesign(designId) {
+    return designStore.update(designId, design => {
+        delete design.deleted_at;
+        delete design.deleted_by;
+    });
+}
+
+// Permanently removes a design's save file, thumbnail, metadata and
+// revisions. Returns false if the design doesn't exist.
+function purgeDesign(designId) {
+    const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+    const thumbnailPath = path.join(THUMBNAILS_DIR, `${designId}.png`);
+
+    if (!fs.existsSync(designPath) && !designStore.get(designId)) {
+        return false;
+    }
+
+    fs.removeSync(designPath);
+    removeCompressedSaves(designId);
+    removePendingThumbnail(designId);
+    if (fs.existsSync(thumbnailPath)) {
+        fs.removeSync(thumbnailPath);
+    }
+    removeThumbnailRenditions(designId);
+
+    // Remove from metadata (and its likes and revisions)
+    designStore.remove(designId);
+    fs.removeSync(path.join(REVISIONS_DIR, designId));
+    return true;
+}
+
+// Purges designs soft-deleted more than DESIGN_RETENTION_DAYS ago
+function purgeExpiredDesigns() {
+    try {
+        const cutoff = new Date(Date.now() - DESIGN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        let purged = 0;
+        for (const design of designStore.all()) {
+            if (design.deleted_at && design.deleted_at < cutoff && purgeDesign(design.id)) purged++;
+        }
+        if (purged > 0) {
+            console.log(`Purged ${purged} design(s) deleted more than ${DESIGN_RETENTION_DAYS} day(s) ago`);
+        }
+    } catch (error) {
+        console.error('Design purge error:', error);
+    }
+}
+
+// Move the old hidden flag from the report queue into visibility
+runMigrationOnce('hidden-to-visibility', () => {
+    let migrated = 0;
+    for (const design of designStore.all()) {
+        if (design.hidden === undefined && design.hidden_reason === undefined) continue;
+        if (design.hidden === true) {
+            setDesignVisibility(design, 'hidden', design.hidden_reason, design.hidden_at || new Date().toISOString());
+            migrated++;
+        }
+        delete design.hidden;
+        delete design.hidden_reason;
+        delete design.hidden_at;
+        designStore.save(design);
+    }
+    console.log(`Hidden flag migrated: ${migrated} design(s) set to visibility hidden`);
+});
+
+// Designs from before delta sync get a change entry, so a client syncing from
+// token 0 receives the whole catalogue
+runMigrationOnce('seed-design-changes', () => {
+    const ids = designStatements.allDesignIds.all().map(row => row.id);
+    designsDb.transaction(() => {
+        for (const id of ids) designStore.recordDesignChange(id);
+    })();
+    console.log(`Delta sync: change log seeded with ${ids.length} design(s)`);
+});
+
+// ---------------------------------------------------------------------------
+// Design revisions. Every upload is kept as a numbered revision (a copy of the
+// .sav and thumbnail under storage/revisions/<id>/) so a vandalised or broken
+// design can be rolled back. Only the newest DESIGN_REVISION_LIMIT revisions
+// of each design are kept. The live files in designs/ and thumbnails/ are
+// always the current revision. Designs uploaded before revisions existed get
+// their current version recorded as revision 1 on their next upload.
+// ---------------------------------------------------------------------------
+
+const DESIGN_REVISION_LIMIT = Math.max(1, parseInt(process.env.DESIGN_REVISION_LIMIT, 10) || 10);
+
+function revisionFilePath(designId, revision, extension) {
+    return path.join(REVISIONS_DIR, designId, `${revision}.${extension}`);
+}
+
+// Copies the design's live files into a new revision and records it. Returns
+// the new revision number.
+function recordDesignRevision(designId, entry) {
+    const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+    const thumbnailPath = path.join(THUMBNAILS_DIR, `${designId}.png`);
+    const revision = designStore.latestRevision(designId) + 1;
+    const hasThumbnail = fs.existsSync(thumbnailPath);
+
+    fs.ensureDirSync(path.join(REVISIONS_DIR, designId));
+    fs.copySync(designPath, revisionFilePath(designId, revision, 'sav'));
+    if (hasThumbnail) {
+        fs.copySync(thumbnailPath, revisionFilePath(designId, revision, 'png'));
+    }
+
+    const expired = designStore.addRevision(designId, revision, {
+        upload_date: entry.upload_date,
+        title: entry.title,
+        description: entry.description,
+        author_name: entry.author_name,
+        level: entry.level,
+        event_id: designEventId(entry),
+        size: fs.statSync(designPath).size,
+        has_thumbnail: hasThumbnail,
+        save_sha256: entry.save_sha256,
+        game_version: entry.game_version || null,
+        save_format_version: entry.save_format_version || null,
+        rolled_back_from: entry.rolled_back_from
+    }, DESIGN_REVISION_LIMIT);
+
+    for (const old of expired) {
+        fs.removeSync(revisionFilePath(designId, old, 'sav'));
+        fs.removeSync(revisionFilePath(designId, old, 'png'));
+    }
+    return revision;
+}
+
+// Records the current version of a design that predates revision history, so
+// the upload about to overwrite it can still be rolled back.
+function ensureBaseRevision(design) {
+    if (design.revision || designStore.latestRevision(design.id) > 0) return;
+    if (!fs.existsSync(path.join(DESIGNS_DIR, `${design.id}.sav`))) return;
+    const revision = recordDesignRevision(design.id, design);
+    designStore.update(design.id, d => {
+        d.revision = revision;
+    });
+}
+
+function toRevisionSummary(revision) {
+    return {
+        revision: revision.revision,
+        upload_date: revision.upload_date,
+        title: revision.title,
+        author_name: revision.author_name,
+        level: revision.level,
+        size: revision.size,
+        has_thumbnail: revision.has_thumbnail === true,
+        rolled_back_from: revision.rolled_back_from || null
+    };
+}
+
+// API Routes
+
+// ---------------------------------------------------------------------------
+// Background image moderation. An upload with a thumbnail is stored right
+// away with moderation_status 'pending_review', which keeps it out of every
+// player-facing list and download, and is queued in moderation_queue. The
+// worker checks the stored thumbnail, then either publishes the design
+// (clears the status) or quarantines it: visibility 'quarantined', the
+// thumbnail removed from disk (kept encrypted in the rejection quarantine
+// when MODERATION_QUARANTINE_KEY is set) and the rejection logged for review.
+// If the provider can't give a verdict the design is published unchecked, or
+// with MODERATION_FAIL_CLOSED=1 stays pending and is retried with backoff.
+// The queue is in designs.db, so pending designs survive a restart. The
+// provider is shown the thumbnail as the player uploaded it, kept in
+// storage/moderation_pending/<id>.img until the verdict, not the re-encoded
+// copy that is served (the tile grid relies on the original resolution).
+// ---------------------------------------------------------------------------
+const MODERATION_WORKER_INTERVAL_MS = 30 * 1000;
+const MODERATION_RETRY_BASE_MS = 60 * 1000;
+const MODERATION_RETRY_MAX_MS = 60 * 60 * 1000;
+let moderationWorkerRunning = false;
+
+function isPendingReview(design) {
+    return design.moderation_status === 'pending_review';
+}
+
+function pendingThumbnailPath(designId) {
+    return path.join(MODERATION_PENDING_DIR, `${designId}.img`);
+}
+
+function removePendingThumbnail(designId) {
+    fs.removeSync(pendingThumbnailPath(designId));
+}
+
+// Drops originals left behind by jobs that are gone (design purged or job
+// removed while the server was down)
+function purgeOrphanPendingThumbnails() {
+    try {
+        const queued = new Set(designStore.moderationQueue().map(job => job.design_id));
+        for (const file of fs.readdirSync(MODERATION_PENDING_DIR)) {
+            if (!queued.has(path.basename(file, '.img'))) fs.removeSync(path.join(MODERATION_PENDING_DIR, file));
+        }
+    } catch (error) {
+        console.error('Pending thumbnail cleanup error:', error);
+    }
+}
+
+function publishReviewedDesign(designId) {
+    return designStore.update(designId, d => {
+        delete d.moderation_status;
+    });
+}
+
+function quarantineFlaggedDesign(design, thumbnail, verdict) {
+    logModerationRejection({
+        date: new Date().toISOString(),
+        type: 'image',
+        design_id: design.id,
+        title: design.title,
+        author_name: design.author_name,
+        provider: IMAGE_MODERATION_PROVIDER,
+        reason: verdict.reason,
+        categories: verdict.categories,
+        pieces: verdict.pieces,
+        held: true, // The design itself is stored, quarantined
+        revision: design.revision,
+        phash: design.thumbnail_phash || undefined,
+        previous_visibility: designVisibility(design)
+    }, { designId: design.id, held: true, revision: design.revision, thumbnail: thumbnail.toString('base64'), thumbnailUrl: design.thumbnail_url });
+
+    fs.removeSync(path.join(THUMBNAILS_DIR, `${design.id}.png`));
+    removeThumbnailRenditions(design.id);
+    if (design.revision) fs.removeSync(revisionFilePath(design.id, design.revision, 'png'));
+    designStore.update(design.id, d => {
+        delete d.moderation_status;
+        setDesignVisibility(d, 'quarantined', 'image_moderation');
+        d.thumbnail_url = null;
+    });
+}
+
+// Returns { done } or { done: false, error } to retry the job later
+async function moderateQueuedDesign(job) {
+    const design = designStore.get(job.design_id);
+    // Gone, or already published by a moderator
+    if (!design || !isPendingReview(design)) {
+        removePendingThumbnail(job.design_id);
+        return { done: true };
+    }
+
+    // Jobs queued before originals were kept fall back to the stored copy
+    const thumbnailPath = [pendingThumbnailPath(design.id), path.join(THUMBNAILS_DIR, `${design.id}.png`)].find(file => fs.existsSync(file));
+    if (!thumbnailPath) {
+        publishReviewedDesign(design.id);
+        return { done: true };
+    }
+
+    const thumbnail = fs.readFileSync(thumbnailPath);
+    const verdict = await moderateImage(thumbnail.toString('base64'));
+
+    // Re-uploaded while being checked: the newer upload has its own job
+    // (and has replaced the original)
+    const current = designStore.get(design.id);
+    if (!current || current.revision !== design.revision) return { done: true };
+
+    if (verdict.flagged) {
+        console.warn(`Design quarantined by image moderation: "${design.title}" by ${design.author_name} (ID: ${design.id}) — ${verdict.reason}`);
+        quarantineFlaggedDesign(current, thumbnail, verdict);
+        removePendingThumbnail(design.id);
+        return { done: true };
+    }
+    if (!verdict.checked && MODERATION_FAIL_CLOSED) {
+        return { done: false, error: 'moderation unavailable' };
+    }
+    publishReviewedDesign(design.id);
+    removePendingThumbnail(design.id);
+    console.log(`Design published after image moderation${verdict.checked ? '' : ' (unchecked, moderation unavailable)'}: ${design.id}`);
+    return { done: true };
+}
+
+// Works through every due job; only one run at a time
+async function runModerationWorker() {
+    if (moderationWorkerRunning) return;
+    moderationWorkerRunning = true;
+    try {
+        let job;
+        while ((job = designStore.nextModerationJob())) {
+            let result;
+            try {
+                result = await moderateQueuedDesign(job);
+            } catch (error) {
+                console.error(`Image moderation of design ${job.design_id} failed:`, error);
+                result = { done: false, error: error.message };
+            }
+            if (result.done) {
+                designStore.finishModerationJob(job);
+            } else {
+                const delay = Math.min(MODERATION_RETRY_BASE_MS * Math.pow(2, job.attempts), MODERATION_RETRY_MAX_MS);
+                designStore.retryModerationJob(job, new Date(Date.now() + delay).toISOString(), result.error);
+                console.warn(`Image moderation of design ${job.design_id} deferred (${result.error}), retry in ${Math.round(delay / 1000)}s`);
+            }
+        }
+    } catch (error) {
+        // Queue reads/writes failed (database locked, disk full); the next
+        // interval tries again
+        console.error('Image moderation worker failed:', error);
+    } finally {
+        moderationWorkerRunning = false;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Save file validation. An uploaded .sav must start with an Unreal Engine
+// SaveGame header:
+//   'GVAS' magic
+//   int32 save game version (1-3)
+//   int32 UE4 package version, plus int32 UE5 package version from version 3
+//   engine version: uint16 major, minor, patch, uint32 changelist, FString branch
+//   from version 2: int32 custom version format, int32 count, then per entry
+//     format 1 (Guids): 16-byte GUID, int32 version, FString friendly name
+//     format 2 (Enums): int32 tag, int32 version
+//     format 3 (Optimized): 16-byte GUID, int32 version
+//   FString save game class name
+// followed by the saved properties. Anything else is turned away before it
+// is moderated or stored. The parsed header and the file's SHA-256 are kept
+// on the design (save_header, save_sha256) and returned with downloads so
+// clients can verify what they received.
+// ---------------------------------------------------------------------------
+const SAVE_GAME_MAGIC = 'GVAS';
+const SAVE_GAME_VERSION_CUSTOM_VERSIONS = 2;
+const SAVE_GAME_VERSION_UE5 = 3;
+const SAVE_HEADER_READ_BYTES = 64 * 1024;
+const SAVE_HEADER_MAX_STRING = 1024;
+const SAVE_HEADER_MAX_CUSTOM_VERSIONS = 4096;
+// ECustomVersionSerializationFormat
+const CUSTOM_VERSION_FORMAT_GUIDS = 1;
+const CUSTOM_VERSION_FORMAT_ENUMS = 2;
+const CUSTOM_VERSION_FORMAT_OPTIMIZED = 3;
+
+// Parses the header at the start of `buffer`; totalSize is the whole file's
+// size. Returns { ok: true, header } or { ok: false, error }.
+function parseSaveGameHeader(buffer, totalSize) {
+    let offset = 0;
+    const need = (bytes) => {
+        if (offset + bytes > buffer.length) throw new Error('truncated header');
+    };
+    const int32 = () => {
+        need(4);
+        offset += 4;
+        return buffer.readInt32LE(offset - 4);
+    };
+    const uint16 = () => {
+        need(2);
+        offset += 2;
+        return buffer.readUInt16LE(offset - 2);
+    };
+    const uint32 = () => {
+        need(4);
+        offset += 4;
+        return buffer.readUInt32LE(offset - 4);
+    };
+    // Positive length: that many single-byte chars, negative: UTF-16 code
+    // units; both counts include a null terminator
+    const fstring = () => {
+        const length = int32();
+        if (length === 0) return '';
+        if (Math.abs(length) > SAVE_HEADER_MAX_STRING) throw new Error('string in header is too long');
+        const bytes = length > 0 ? length : -length * 2;
+        need(bytes);
+        const end = offset + bytes;
+        const terminated = length > 0 ? buffer[end - 1] === 0 : buffer.readUInt16LE(end - 2) === 0;
+        if (!terminated) throw new Error('string in header is not null-terminated');
+        const text = buffer.toString(length > 0 ? 'latin1' : 'utf16le', offset, length > 0 ? end - 1 : end - 2);
+        offset = end;
+        return text;
+    };
+
+    try {
+        need(4);
+        if (buffer.toString('latin1', 0, 4) !== SAVE_GAME_MAGIC) {
+            return { ok: false, error: 'not an Unreal save game (no GVAS magic)' };
+        }
+        offset = 4;
+        const saveGameVersion = int32();
+        if (saveGameVersion < 1 || saveGameVersion > SAVE_GAME_VERSION_UE5) {
+            return { ok: false, error: `unsupported save game version ${saveGameVersion}` };
+        }
+        const packageVersionUE4 = int32();
+        const packageVersionUE5 = saveGameVersion >= SAVE_GAME_VERSION_UE5 ? int32() : null;
+        if (packageVersionUE4 < 0 || packageVersionUE5 < 0) {
+            return { ok: false, error: 'invalid package version' };
+        }
+
+        const major = uint16();
+        const minor = uint16();
+        const patch = uint16();
+        const changelist = uint32();
+        const branch = fstring();
+
+        let customVersions = 0;
+        if (saveGameVersion >= SAVE_GAME_VERSION_CUSTOM_VERSIONS) {
+            const format = int32();
+            if (format < CUSTOM_VERSION_FORMAT_GUIDS || format > CUSTOM_VERSION_FORMAT_OPTIMIZED) {
+                return { ok: false, error: `unsupported custom version format ${format}` };
+            }
+            customVersions = int32();
+            if (customVersions < 0 || customVersions > SAVE_HEADER_MAX_CUSTOM_VERSIONS) {
+                return { ok: false, error: `invalid custom version count ${customVersions}` };
+            }
+            for (let i = 0; i < customVersions; i++) {
+                if (format === CUSTOM_VERSION_FORMAT_ENUMS) {
+                    int32(); // Tag
+                } else {
+                    need(16); // GUID
+                    offset += 16;
+                }
+                int32();
+                if (format === CUSTOM_VERSION_FORMAT_GUIDS) fstring();
+            }
+        }
+
+        const saveGameClass = fstring();
+        if (!saveGameClass) {
+            return { ok: false, error: 'missing save game class' };
+        }
+        if (offset >= totalSize) {
+            return { ok: false, error: 'no save data after the header' };
+        }
+
+        return {
+            ok: true,
+            header: {
+                save_game_version: saveGameVersion,
+                package_version_ue4: packageVersionUE4,
+                package_version_ue5: packageVersionUE5,
+                engine_version: `${major}.${minor}.${patch}-${changelist}${branch ? `+${branch}` : ''}`,
+                custom_versions: customVersions,
+                save_game_class: saveGameClass
+            }
+        };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+// Reads and parses the header of a save given as a file path or as base64
+// (only its first SAVE_HEADER_READ_BYTES are decoded)
+async function readSaveGameHeader(source, { base64 = false } = {}) {
+    if (base64) {
+        const prefix = source.slice(0, Math.ceil(SAVE_HEADER_READ_BYTES / 3) * 4);
+        return parseSaveGameHeader(Buffer.from(prefix, 'base64'), Buffer.byteLength(source, 'base64'));
+    }
+    const handle = await fs.promises.open(source, 'r');
+    try {
+        const { size } = await handle.stat();
+        const buffer = Buffer.alloc(Math.min(size, SAVE_HEADER_READ_BYTES));
+        await handle.read(buffer, 0, buffer.length, 0);
+        return parseSaveGameHeader(buffer, size);
+    } finally {
+        await handle.close();
+    }
+}
+
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// { save_header, save_sha256 } of a stored .sav; save_header is null for a
+// file that doesn't parse (designs uploaded before validation)
+async function inspectStoredSave(filePath) {
+    const parsed = await readSaveGameHeader(filePath);
+    return {
+        save_header: parsed.ok ? parsed.header : null,
+        save_sha256: await sha256File(filePath)
+    };
+}
+
+// Hashes the saves of designs uploaded before save validation
+async function backfillSaveHashes() {
+    let hashed = 0;
+    for (const design of designStore.all()) {
+        if (design.save_sha256 !== undefined) continue;
+        const designPath = path.join(DESIGNS_DIR, `${design.id}.sav`);
+        if (!fs.existsSync(designPath)) continue;
+        const saveInfo = await inspectStoredSave(designPath);
+        designStore.update(design.id, d => {
+            Object.assign(d, saveInfo);
+        });
+        hashed++;
+    }
+    if (hashed > 0) console.log(`Save hashes backfilled for ${hashed} design(s)`);
+}
+
+// Writes an accepted upload: keeps the previous version as a revision, saves
+// the .sav and thumbnail and creates or updates the design record. `upload`
+// carries the validated request fields plus the resolved eventId, tags (null
+// keeps the current ones), gameVersion, saveFormatVersion and playerHash; the
+// save is either base64 saveData
+// or, for a streamed upload, the temp file saveFile. A new design gets an
+// owner token unless issueOwnerToken is false (a moderator publishing a
+// quarantined upload has nobody to hand it to). pendingReview stores the
+// design as pending image moderation. Returns { ok, existingDesign, revision,
+// visibility, ownerToken } or { ok: false, error }.
+async function storeDesignUpload(upload, { issueOwnerToken = true, pendingReview = false } = {}) {
+    const { designId, title, description, authorName, level, saveData, saveFile, thumbnail, eventId, tags, visibility, gameVersion, saveFormatVersion, playerHash } = upload;
+    // Quarantined uploads from before game versions were recorded have neither
+    const gameVersionState = {
+        game_version: gameVersion || null,
+        save_format_version: saveFormatVersion || null
+    };
+    const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+
+    // Keep the version about to be overwritten if it predates revisions
+    const previousDesign = designStore.get(designId);
+    if (previousDesign) {
+        ensureBaseRevision(previousDesign);
+    }
+
+    // Save design file (overwrites the owner's previous version; every
+    // version is also kept as a revision below)
+    const savedDesign = saveFile ? moveUploadedFile(saveFile, designPath) : saveBase64File(saveData, designPath);
+    if (!savedDesign) {
+        return { ok: false, error: 'Failed to save design file' };
+    }
+    const saveInfo = await inspectStoredSave(designPath);
+    queueSaveCompression(designId);
+
+    // Save and compress thumbnail if provided (overwrites the previous one)
+    let thumbnailUrl = null;
+    let thumbnailPhash = null;
+    if (thumbnail) {
+        const thumbnailFilename = `${designId}.png`;
+        const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailFilename);
+
+        // The image moderation worker checks the upload as sent
+        if (pendingReview) {
+            fs.writeFileSync(pendingThumbnailPath(designId), Buffer.from(thumbnail, 'base64'));
+        }
+        
+        // Use compression for new thumbnails
+        const savedThumbnail = await compressAndSaveThumbnail(thumbnail, thumbnailPath, upload.thumbnailPhash);
+        if (savedThumbnail) {
+            const savedFilename = path.basename(savedThumbnail.path);
+            thumbnailUrl = `/api/thumbnails/${savedFilename}`;
+            thumbnailPhash = savedThumbnail.phash;
+        }
+        queueThumbnailRenditions(designId);
+    }
+
+    // Check if design already exists (update vs create)
+    const existingDesign = designStore.get(designId);
+
+    // Players choose public or unlisted (default: keep the current
+    // setting); a hidden or quarantined design stays that way until a
+    // moderator changes it
+    const visibilityState = {
+        visibility: visibility || 'public',
+        visibility_reason: null,
+        visibility_changed_at: null
+    };
+    if (existingDesign) {
+        const currentVisibility = designVisibility(existingDesign);
+        if (!PLAYER_VISIBILITIES.includes(currentVisibility) || !visibility || visibility === currentVisibility) {
+            visibilityState.visibility = currentVisibility;
+            visibilityState.visibility_reason = existingDesign.visibility_reason || null;
+            visibilityState.visibility_changed_at = existingDesign.visibility_changed_at || null;
+        } else {
+            visibilityState.visibility_changed_at = new Date().toISOString();
+        }
+    }
+
+    // A new design gets a fresh owner token. It is returned once and never
+    // stored in plain text.
+    let ownerToken = null;
+    let ownerTokenHash = existingDesign ? existingDesign.owner_token_hash : undefined;
+    let ownerPlayer = existingDesign ? existingDesign.owner_player : undefined;
+    if (!existingDesign) {
+        if (issueOwnerToken) {
+            ownerToken = crypto.randomBytes(24).toString('base64url');
+            ownerTokenHash = hashOwnerToken(ownerToken);
+        }
+        ownerPlayer = playerHash || undefined;
+    } else if (!ownerPlayer && playerHash) {
+        ownerPlayer = playerHash; // token-only owner now also bound to their player ID
+    }
+
+    // An upload without a thumbnail keeps a pending one pending
+    const moderationState = pendingReview || (!thumbnail && existingDesign && isPendingReview(existingDesign))
+        ? { moderation_status: 'pending_review' }
+        : {};
+
+    const uploadDate = new Date().toISOString();
+    const revision = recordDesignRevision(designId, {
+        upload_date: uploadDate,
+        title: title || 'Untitled Design',
+        description: description || '',
+        author_name: authorName || 'Anonymous',
+        level: level || '',
+        event_id: eventId,
+        save_sha256: saveInfo.save_sha256,
+        ...gameVersionState
+    });
+    if (thumbnailUrl) thumbnailUrl = versionedThumbnailUrl(designId, revision);
+    
+    if (existingDesign) {
+        // Update existing design (preserve download_count)
+        designStore.save({
+            id: designId,
+            title: title || 'Untitled Design',
+            description: description || '',
+            author_name: authorName || 'Anonymous',
+            level: level || '',
+            download_count: existingDesign.download_count, // Preserve download count
+            like_count: existingDesign.like_count || 0, // Preserve like count
+            upload_date: uploadDate, // Update to current time
+            thumbnail_url: thumbnailUrl || existingDesign.thumbnail_url, // Use new thumbnail or keep existing
+            thumbnail_phash: thumbnailUrl ? thumbnailPhash : existingDesign.thumbnail_phash,
+            ...saveInfo,
+            ...gameVersionState,
+            event_id: eventId,
+            tags: tags || existingDesign.tags || [], // Uploads without tags keep the current ones
+            revision: revision,
+            ...visibilityState, // Saving without deleted_at also undoes an owner's delete
+            ...moderationState,
+            owner_token_hash: ownerTokenHash,
+            owner_player: ownerPlayer
+        });
+        console.log(`Design updated: ${title} by ${authorName} (ID: ${designId})${eventId ? ` [Event: ${eventId}]` : ''}${existingDesign.deleted_at ? ' [restored]' : ''}`);
+    } else {
+        // Create new design
+        const designMetadata = {
+            id: designId,
+            title: title || 'Untitled Design',
+            description: description || '',
+            author_name: authorName || 'Anonymous',
+            level: level || '',
+            download_count: 0,
+            like_count: 0,
+            upload_date: uploadDate,
+            thumbnail_url: thumbnailUrl,
+            thumbnail_phash: thumbnailPhash,
+            ...saveInfo,
+            ...gameVersionState,
+            event_id: eventId,
+            tags: tags || [],
+            revision: revision,
+            ...visibilityState,
+            ...moderationState,
+            owner_token_hash: ownerTokenHash,
+            owner_player: ownerPlayer
+        };
+        designStore.save(designMetadata);
+        console.log(`Design created: ${title} by ${authorName} (ID: ${designId})${eventId ? ` [Event: ${eventId}]` : ''}`);
+    }
+
+    return { ok: true, existingDesign, revision, visibility: visibilityState.visibility, ownerToken };
+}
+
+// Validates, moderates and stores an upload from req.body. Shared by the JSON
+// upload (base64 saveData) and the streamed binary one, which passes the
+// save as the temp file saveFile and its thumbnail as base64 in req.body.
+async function acceptDesignUpload(req, res, saveFile = null) {
+    try {
+        const { designId, title, description, authorName, level, saveData, thumbnail, christmasEvent, eventId, tags, visibility, gameVersion, saveFormatVersion } = req.body;
+
+
+        // Validate required fields
+        if (!title || (!saveData && !saveFile)) {
+            return res.status(400).json({ error: saveFile ? 'Title is required' : 'Title and saveData are required' });
+        }
+
+        // Input length validation
+        if (typeof title !== 'string' || title.length > 200) {
+            return res.status(400).json({ error: 'Title must be a string under 200 characters' });
+        }
         if (description && (typeof description !== 'string' || description.length > 2000)) {
             return res.status(400).json({ error: 'Description must be under 2000 characters' });
         }
-        if (authorName && (typeof authorName !== 'string' || authorName.length > 100)) {
-            return res.status(400).json({ error: 'Author name must be under 100 characters' });
+        if (authorName && (typeof authorName !== 'string' || authorName.length > 100)) {
+            return res.status(400).json({ error: 'Author name must be under 100 characters' });
+        }
+        if (visibility !== undefined && !PLAYER_VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ error: `visibility must be one of: ${PLAYER_VISIBILITIES.join(', ')}` });
+        }
+        if (!saveFile && typeof saveData !== 'string') {
+            return res.status(400).json({ error: 'saveData must be a Base64 string' });
+        }
+        if (gameVersion !== undefined && gameVersion !== null && !isValidGameVersion(gameVersion)) {
+            return res.status(400).json({ error: 'gameVersion must look like 1.4.2' });
+        }
+        if (saveFormatVersion !== undefined && saveFormatVersion !== null && !isValidSaveFormat(saveFormatVersion)) {
+            return res.status(400).json({ error: 'saveFormatVersion must be a positive integer' });
+        }
+
+        // Only Unreal save games are accepted (see "Save file validation")
+        const saveCheck = saveFile ? await readSaveGameHeader(saveFile) : await readSaveGameHeader(saveData, { base64: true });
+        if (!saveCheck.ok) {
+            console.warn(`Upload rejected: invalid save file for "${title}" (${saveCheck.error})`);
+            return res.status(400).json({ error: 'Invalid save file', reason: saveCheck.error });
+        }
+
+        // The thumbnail's size is checked before anything decodes it, and its
+        // hash computed once, for the duplicate check and the stored design
+        let thumbnailPhash = null;
+        if (thumbnail) {
+            const thumbnailCheck = await inspectUploadedThumbnail(thumbnail);
+            if (!thumbnailCheck.ok) {
+                console.warn(`Upload rejected: invalid thumbnail for "${title}" (${thumbnailCheck.error})`);
+                return res.status(400).json({ error: 'Invalid thumbnail', reason: thumbnailCheck.error });
+            }
+            thumbnailPhash = thumbnailCheck.phash;
+        }
+
+        // Tags outside the vocabulary are dropped (and reported back) rather
+        // than failing the upload, so retiring a tag can't break old clients
+        let designTags = null;
+        let ignoredTags = [];
+        if (tags !== undefined) {
+            const resolved = resolveDesignTags(tags, loadTagVocabulary());
+            if (!resolved.ok) {
+                return res.status(400).json({ error: resolved.error });
+            }
+            designTags = resolved.tags;
+            ignoredTags = resolved.unknown;
+        }
+
+        // Use provided designId or generate new one — validate format to prevent path traversal
+        if (designId && !isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid designId format (must be UUID)' });
+        }
+        const finalDesignId = designId || uuidv4();
+
+        // Only the owner may overwrite an existing design, and a design with
+        // no owner (uploaded before ownership existed) only after a moderator
+        // has assigned one. Checked before the (slow) moderation call and
+        // again right before any file is written.
+        const isForeignDesign = () => {
+            const current = designStore.get(finalDesignId);
+            return !!current && !(isDesignClaimed(current) && isDesignOwner(current, req));
+        };
+        if (isForeignDesign()) {
+            const unclaimed = !isDesignClaimed(designStore.get(finalDesignId));
+            console.warn(`Upload rejected: not the owner of design ${finalDesignId}${unclaimed ? ' (no owner assigned)' : ''}`);
+            return res.status(403).json({ error: unclaimed ? 'This design has no owner yet, a moderator has to assign it' : 'Not the owner of this design' });
+        }
+        // A design the owner deleted comes back when they upload it again;
+        // one an admin deleted stays gone until an admin restores it
+        if (designStore.get(finalDesignId)?.deleted_by === 'admin') {
+            console.warn(`Upload rejected: design ${finalDesignId} was deleted by an admin`);
+            return res.status(403).json({ error: 'This design was removed by a moderator' });
+        }
+
+        const playerHash = resolvePlayerHash(req.body);
+        const eventResult = resolveUploadEvent({ eventId, christmasEvent }, designStore.get(finalDesignId), {
+            designId: finalDesignId,
+            level: level || '',
+            hasThumbnail: !!thumbnail,
+            playerHash
+        });
+        if (!eventResult.ok) {
+            return res.status(400).json({ error: eventResult.error });
+        }
+        const designEvent = eventResult.eventId;
+
+        const upload = {
+            designId: finalDesignId,
+            title,
+            description,
+            authorName,
+            level,
+            saveData,
+            saveFile,
+            thumbnail,
+            thumbnailPhash,
+            eventId: designEvent,
+            tags: designTags,
+            visibility,
+            gameVersion: gameVersion || null,
+            saveFormatVersion: saveFormatVersion || null,
+            playerHash,
+            wasUpdate: !!designStore.get(finalDesignId) // For publishing it from quarantine later
+        };
+
+        // Moderate the text before anything is stored. The game client treats
+        // any non-200 as its normal upload-failure path, so a rejection needs
+        // no dedicated error message. The thumbnail is checked after the
+        // upload is stored, by the background moderation worker.
+        const textModeration = await moderateText({
+            title,
+            description: description || '',
+            author_name: authorName || ''
+        });
+        if (textModeration.flagged) {
+            console.warn(`Upload rejected by text moderation (${textModeration.provider}): "${title}" by ${authorName || 'Anonymous'} (ID: ${finalDesignId}) — ${textModeration.reason}`);
+            logModerationRejection({
+                date: new Date().toISOString(),
+                type: 'text',
+                design_id: finalDesignId,
+                title: title,
+                author_name: authorName || 'Anonymous',
+                provider: textModeration.provider,
+                field: textModeration.field,
+                reason: textModeration.reason
+            }, upload);
+            return res.status(400).json({ error: 'Upload failed', field: textModeration.field || undefined });
+        }
+        if (!textModeration.checked && MODERATION_FAIL_CLOSED) {
+            console.warn(`Upload rejected: text moderation unavailable and MODERATION_FAIL_CLOSED is set (ID: ${finalDesignId})`);
+            return res.status(400).json({ error: 'Upload failed' });
+        }
+
+        // A thumbnail close to a rejected or moderator-deleted one is turned
+        // away here, before any image moderation provider sees it
+        if (thumbnail) {
+            const blocked = findBlockedThumbnail(thumbnailPhash);
+            if (blocked) {
+                const reason = blocked.source === 'rejected'
+                    ? `Near-duplicate of rejected upload ${blocked.rejection_id} (distance ${blocked.distance})`
+                    : `Near-duplicate of ${blocked.source} design ${blocked.design_id} (distance ${blocked.distance})`;
+                console.warn(`Upload rejected by duplicate check: "${title}" by ${authorName || 'Anonymous'} (ID: ${finalDesignId}) — ${reason}`);
+                logModerationRejection({
+                    date: new Date().toISOString(),
+                    type: 'image',
+                    design_id: finalDesignId,
+                    title: title,
+                    author_name: authorName || 'Anonymous',
+                    provider: 'duplicate',
+                    reason,
+                    phash: thumbnailPhash,
+                    duplicate_of: blocked
+                }, upload);
+                return res.status(400).json({ error: 'Upload failed' });
+            }
+        }
+
+        if (isForeignDesign()) {
+            console.warn(`Upload rejected: design ${finalDesignId} was created by another upload during moderation`);
+            return res.status(403).json({ error: 'Not the owner of this design' });
+        }
+
+        const pendingReview = !!thumbnail && !!activeImageModerationProvider();
+        const stored = await storeDesignUpload(upload, { pendingReview });
+        if (!stored.ok) {
+            return res.status(500).json({ error: stored.error });
+        }
+        const { existingDesign, revision, ownerToken } = stored;
+        if (pendingReview) {
+            designStore.enqueueModeration(finalDesignId);
+            setImmediate(runModerationWorker);
+        }
+
+        const isUpdate = !!existingDesign;
+        const response = {
+            success: true, 
+            design_id: finalDesignId,
+            updated: isUpdate,
+            revision: revision,
+            event_id: designEvent,
+            visibility: stored.visibility,
+            // pending_review: stored, but not shown to players until the
+            // thumbnail passes moderation (poll GET /api/designs/:id/status)
+            status: pendingReview ? 'pending_review' : 'published',
+            message: pendingReview
+                ? 'Design received, it will appear once its thumbnail has been reviewed'
+                : (isUpdate ? 'Design updated successfully' : 'Design uploaded successfully')
+        };
+        if (ownerToken) {
+            // Keep this: it is required to re-upload or delete the design later
+            response.owner_token = ownerToken;
+        }
+        if (ignoredTags.length > 0) {
+            response.ignored_tags = ignoredTags;
+        }
+        res.json(response);
+
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Upload design
+app.post('/api/designs', requireApiKey, (req, res) => acceptDesignUpload(req, res));
+
+// Binary upload endpoint (no Base64 overhead, nothing held in memory) - the
+// counterpart of /download/binary. The body (application/octet-stream) is the
+// .sav, optionally followed by the thumbnail image. X-Design-Metadata carries
+// the JSON upload's other fields as Base64-encoded JSON, plus saveSize: how
+// many body bytes belong to the save. The body is streamed to temp files and
+// turned away with a 413 as soon as either part goes over its limit.
+const BINARY_UPLOAD_MAX_SAVE_BYTES = Math.max(1, parseInt(process.env.BINARY_UPLOAD_MAX_SAVE_MB, 10) || 50) * 1024 * 1024;
+const BINARY_UPLOAD_MAX_THUMBNAIL_BYTES = Math.max(1, parseInt(process.env.BINARY_UPLOAD_MAX_THUMBNAIL_MB, 10) || 10) * 1024 * 1024;
+
+function uploadTooLargeError(message) {
+    const error = new Error(message);
+    error.status = 413;
+    return error;
+}
+
+// Streams an upload body (the request, or a finished resumable upload's
+// chunks) into savePath (the first saveSize bytes) and thumbnailPath (the
+// rest), pausing the input while either file catches up. Resolves with the
+// byte counts written to each.
+function receiveBinaryUpload(req, saveSize, { savePath, thumbnailPath }) {
+    return new Promise((resolve, reject) => {
+        const saveOut = fs.createWriteStream(savePath);
+        const thumbnailOut = fs.createWriteStream(thumbnailPath);
+        let received = 0;
+        let settled = false;
+
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            saveOut.destroy();
+            thumbnailOut.destroy();
+            reject(error);
+        };
+
+        req.on('data', (chunk) => {
+            if (settled) return;
+            const saveRemaining = Math.max(saveSize - received, 0);
+            received += chunk.length;
+            if (received - saveSize > BINARY_UPLOAD_MAX_THUMBNAIL_BYTES) {
+                return fail(uploadTooLargeError(`Thumbnail exceeds ${BINARY_UPLOAD_MAX_THUMBNAIL_BYTES / 1024 / 1024}MB`));
+            }
+
+            const waiting = [];
+            if (saveRemaining > 0 && !saveOut.write(chunk.subarray(0, saveRemaining))) waiting.push(saveOut);
+            if (chunk.length > saveRemaining && !thumbnailOut.write(chunk.subarray(saveRemaining))) waiting.push(thumbnailOut);
+            if (waiting.length > 0) {
+                req.pause();
+                Promise.all(waiting.map(out => new Promise(drained => out.once('drain', drained))))
+                    .then(() => { if (!settled) req.resume(); });
+            }
+        });
+        req.on('end', () => {
+            if (settled) return;
+            const finished = out => new Promise((done, failed) => {
+                out.once('error', failed);
+                out.end(done);
+            });
+            Promise.all([finished(saveOut), finished(thumbnailOut)]).then(() => {
+                if (settled) return;
+                settled = true;
+                resolve({
+                    saveBytes: Math.min(received, saveSize),
+                    thumbnailBytes: Math.max(received - saveSize, 0)
+                });
+            }, fail);
+        });
+        req.on('aborted', () => fail(new Error('Upload aborted by client')));
+        req.on('error', fail);
+        saveOut.on('error', fail);
+        thumbnailOut.on('error', fail);
+    });
+}
+
+app.post('/api/designs/binary', requireApiKey, async (req, res) => {
+    const tempId = uuidv4();
+    const savePath = path.join(UPLOADS_TMP_DIR, `${tempId}.sav`);
+    const thumbnailPath = path.join(UPLOADS_TMP_DIR, `${tempId}.thumb`);
+    try {
+        if (!req.is('application/octet-stream')) {
+            return res.status(415).json({ error: 'Content-Type must be application/octet-stream' });
+        }
+
+        // Base64 encoded so titles can use non-Latin characters
+        let metadata = null;
+        try {
+            metadata = JSON.parse(Buffer.from(req.headers['x-design-metadata'] || '', 'base64').toString('utf8'));
+        } catch (error) {
+            metadata = null;
+        }
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            return res.status(400).json({ error: 'X-Design-Metadata must be Base64-encoded JSON' });
+        }
+
+        const saveSize = Number(metadata.saveSize);
+        if (!Number.isInteger(saveSize) || saveSize < 1) {
+            return res.status(400).json({ error: 'saveSize must be a positive integer' });
+        }
+        if (saveSize > BINARY_UPLOAD_MAX_SAVE_BYTES) {
+            return res.status(413).set('Connection', 'close').json({ error: `Save exceeds ${BINARY_UPLOAD_MAX_SAVE_BYTES / 1024 / 1024}MB` });
+        }
+        // Turn away a body that is declared too large before reading any of it
+        const contentLength = Number(req.headers['content-length']);
+        if (contentLength > saveSize + BINARY_UPLOAD_MAX_THUMBNAIL_BYTES) {
+            return res.status(413).set('Connection', 'close').json({ error: `Thumbnail exceeds ${BINARY_UPLOAD_MAX_THUMBNAIL_BYTES / 1024 / 1024}MB` });
+        }
+
+        const received = await receiveBinaryUpload(req, saveSize, { savePath, thumbnailPath });
+        if (received.saveBytes < saveSize) {
+            return res.status(400).json({ error: 'Body is shorter than saveSize' });
+        }
+
+        // The rest of the pipeline works on the JSON upload's fields; only
+        // the thumbnail (small) is read into memory
+        req.body = { ...metadata, saveData: undefined, thumbnail: undefined };
+        if (received.thumbnailBytes > 0) {
+            req.body.thumbnail = (await fs.readFile(thumbnailPath)).toString('base64');
+        }
+        console.log(`Binary upload received: ${(saveSize / 1024).toFixed(0)}KB save, ${(received.thumbnailBytes / 1024).toFixed(0)}KB thumbnail`);
+        await acceptDesignUpload(req, res, savePath);
+
+    } catch (error) {
+        if (error.status === 413) {
+            console.warn(`Binary upload rejected: ${error.message}`);
+            return res.status(413).set('Connection', 'close').json({ error: error.message });
+        }
+        console.error('Binary upload error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        // The save was moved into place if the upload was stored
+        fs.remove(savePath).catch(() => {});
+        fs.remove(thumbnailPath).catch(() => {});
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Resumable uploads, for large saves over flaky connections:
+//   POST   /api/designs/uploads                        { saveSize, thumbnailSize }
+//   PUT    /api/designs/uploads/:uploadId/chunks/:n    chunk n (X-Chunk-SHA256)
+//   GET    /api/designs/uploads/:uploadId              received byte ranges
+//   POST   /api/designs/uploads/:uploadId/complete     the JSON upload's fields
+//   DELETE /api/designs/uploads/:uploadId              give up
+// The body is laid out as for /api/designs/binary (save, then thumbnail) and
+// cut into UPLOAD_CHUNK_SIZE chunks; only the last may be shorter. Chunks can
+// arrive in any order and be re-sent. A session expires UPLOAD_SESSION_TTL_HOURS
+// after its last chunk; completing it runs the normal upload path, and a
+// session whose upload is stored is removed.
+// ---------------------------------------------------------------------------
+
+const UPLOAD_CHUNK_SIZE = 1024 * 1024;
+const UPLOAD_SESSION_TTL_HOURS = Math.max(1, parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24);
+const UPLOAD_SESSION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const SHA256_HEX_REGEX = /^[0-9a-f]{64}$/i;
+const finalizingUploads = new Set();
+
+function uploadSessionExpiry() {
+    return new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+function uploadChunkPath(uploadId, index) {
+    return path.join(UPLOAD_SESSIONS_DIR, uploadId, String(index));
+}
+
+function uploadChunkCount(session) {
+    return Math.ceil((session.save_size + session.thumbnail_size) / session.chunk_size);
+}
+
+// Expected length of chunk `index`: chunk_size, except for the last one
+function uploadChunkLength(session, index) {
+    const total = session.save_size + session.thumbnail_size;
+    return Math.min(session.chunk_size, total - index * session.chunk_size);
+}
+
+// Progress report shared by the status and chunk routes. received_ranges are
+// [start, end) byte ranges of the upload body, merged across adjacent chunks.
+function describeUploadSession(session) {
+    const chunks = designStore.uploadChunks(session.id);
+    const received = new Set(chunks.map(chunk => chunk.chunk_index));
+    const chunkCount = uploadChunkCount(session);
+    const receivedRanges = [];
+    for (const chunk of chunks) {
+        const start = chunk.chunk_index * session.chunk_size;
+        const last = receivedRanges[receivedRanges.length - 1];
+        if (last && last[1] === start) {
+            last[1] = start + chunk.size;
+        } else {
+            receivedRanges.push([start, start + chunk.size]);
+        }
+    }
+    const missingChunks = [];
+    for (let index = 0; index < chunkCount; index++) {
+        if (!received.has(index)) missingChunks.push(index);
+    }
+    return {
+        upload_id: session.id,
+        save_size: session.save_size,
+        thumbnail_size: session.thumbnail_size,
+        chunk_size: session.chunk_size,
+        chunk_count: chunkCount,
+        received_bytes: chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+        received_ranges: receivedRanges,
+        missing_chunks: missingChunks,
+        complete: missingChunks.length === 0,
+        expires_at: session.expires_at
+    };
+}
+
+// Streams the request into filePath, hashing it on the way. Rejects with a
+// 413-tagged error (and stops writing) once more than maxBytes arrive.
+function receiveUploadChunk(req, filePath, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(filePath);
+        const hash = crypto.createHash('sha256');
+        let received = 0;
+        let settled = false;
+
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            out.destroy();
+            reject(error);
+        };
+
+        req.on('data', (chunk) => {
+            if (settled) return;
+            received += chunk.length;
+            if (received > maxBytes) {
+                return fail(uploadTooLargeError(`Chunk is longer than ${maxBytes} bytes`));
+            }
+            hash.update(chunk);
+            if (!out.write(chunk)) {
+                req.pause();
+                out.once('drain', () => { if (!settled) req.resume(); });
+            }
+        });
+        req.on('end', () => {
+            if (settled) return;
+            out.end(() => {
+                if (settled) return;
+                settled = true;
+                resolve({ size: received, sha256: hash.digest('hex') });
+            });
+        });
+        req.on('aborted', () => fail(new Error('Upload aborted by client')));
+        req.on('error', fail);
+        out.on('error', fail);
+    });
+}
+
+// The session's chunks, in order, as one stream of the upload body
+async function* readUploadChunks(session) {
+    for (let index = 0; index < uploadChunkCount(session); index++) {
+        yield* fs.createReadStream(uploadChunkPath(session.id, index));
+    }
+}
+
+function removeUploadSession(uploadId) {
+    const removed = designStore.removeUploadSession(uploadId);
+    fs.remove(path.join(UPLOAD_SESSIONS_DIR, uploadId)).catch(error => {
+        console.error(`Failed to remove upload session ${uploadId}:`, error);
+    });
+    return removed;
+}
+
+// Drops expired sessions, and chunk directories left without a session
+function purgeExpiredUploadSessions() {
+    try {
+        const expired = designStore.expiredUploadSessionIds().filter(id => !finalizingUploads.has(id));
+        for (const uploadId of expired) {
+            removeUploadSession(uploadId);
+        }
+        const sessions = new Set(designStore.uploadSessionIds());
+        for (const entry of fs.readdirSync(UPLOAD_SESSIONS_DIR)) {
+            if (!sessions.has(entry)) fs.removeSync(path.join(UPLOAD_SESSIONS_DIR, entry));
+        }
+        if (expired.length > 0) {
+            console.log(`Removed ${expired.length} expired upload session(s)`);
+        }
+    } catch (error) {
+        console.error('Upload session purge error:', error);
+    }
+}
+
+app.post('/api/designs/uploads', requireApiKey, (req, res) => {
+    try {
+        const saveSize = Number(req.body?.saveSize);
+        const thumbnailSize = req.body?.thumbnailSize === undefined ? 0 : Number(req.body.thumbnailSize);
+        if (!Number.isInteger(saveSize) || saveSize < 1) {
+            return res.status(400).json({ error: 'saveSize must be a positive integer' });
+        }
+        if (!Number.isInteger(thumbnailSize) || thumbnailSize < 0) {
+            return res.status(400).json({ error: 'thumbnailSize must be a non-negative integer' });
+        }
+        if (saveSize > BINARY_UPLOAD_MAX_SAVE_BYTES) {
+            return res.status(413).json({ error: `Save exceeds ${BINARY_UPLOAD_MAX_SAVE_BYTES / 1024 / 1024}MB` });
+        }
+        if (thumbnailSize > BINARY_UPLOAD_MAX_THUMBNAIL_BYTES) {
+            return res.status(413).json({ error: `Thumbnail exceeds ${BINARY_UPLOAD_MAX_THUMBNAIL_BYTES / 1024 / 1024}MB` });
+        }
+
+        const session = {
+            id: uuidv4(),
+            save_size: saveSize,
+            thumbnail_size: thumbnailSize,
+            chunk_size: UPLOAD_CHUNK_SIZE,
+            created_at: new Date().toISOString(),
+            expires_at: uploadSessionExpiry()
+        };
+        fs.ensureDirSync(path.join(UPLOAD_SESSIONS_DIR, session.id));
+        designStore.createUploadSession(session);
+        console.log(`Upload session created: ${session.id} (${((saveSize + thumbnailSize) / 1024).toFixed(0)}KB in ${uploadChunkCount(session)} chunk(s))`);
+        res.status(201).json(describeUploadSession(session));
+
+    } catch (error) {
+        console.error('Upload session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/designs/uploads/:uploadId', requireApiKey, (req, res) => {
+    try {
+        const session = isValidUUID(req.params.uploadId) && designStore.uploadSession(req.params.uploadId);
+        if (!session) {
+            return res.status(404).json({ error: 'Upload session not found' });
+        }
+        res.json(describeUploadSession(session));
+
+    } catch (error) {
+        console.error('Upload session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/designs/uploads/:uploadId/chunks/:index', requireApiKey, async (req, res) => {
+    const tempPath = isValidUUID(req.params.uploadId)
+        ? path.join(UPLOAD_SESSIONS_DIR, req.params.uploadId, `${uuidv4()}.tmp`)
+        : null;
+    try {
+        const session = tempPath && designStore.uploadSession(req.params.uploadId);
+        if (!session) {
+            return res.status(404).set('Connection', 'close').json({ error: 'Upload session not found' });
+        }
+        const index = Number(req.params.index);
+        if (!Number.isInteger(index) || index < 0 || index >= uploadChunkCount(session)) {
+            return res.status(400).set('Connection', 'close').json({ error: `Chunk index must be between 0 and ${uploadChunkCount(session) - 1}` });
+        }
+        const expectedSha256 = req.headers['x-chunk-sha256'];
+        if (typeof expectedSha256 !== 'string' || !SHA256_HEX_REGEX.test(expectedSha256)) {
+            return res.status(400).set('Connection', 'close').json({ error: 'X-Chunk-SHA256 header (hex) is required' });
+        }
+
+        const expectedLength = uploadChunkLength(session, index);
+        const chunk = await receiveUploadChunk(req, tempPath, expectedLength);
+        if (chunk.size !== expectedLength) {
+            return res.status(400).json({ error: `Chunk ${index} must be ${expectedLength} bytes, got ${chunk.size}` });
+        }
+        if (chunk.sha256 !== expectedSha256.toLowerCase()) {
+            return res.status(400).json({ error: `Chunk ${index} checksum mismatch` });
+        }
+
+        // The session may have been completed or cancelled meanwhile
+        if (!designStore.uploadSession(session.id) || finalizingUploads.has(session.id)) {
+            return res.status(409).json({ error: 'Upload session is no longer accepting chunks' });
+        }
+        await fs.move(tempPath, uploadChunkPath(session.id, index), { overwrite: true });
+        designStore.recordUploadChunk(session.id, index, chunk.size, chunk.sha256, uploadSessionExpiry());
+        res.json(describeUploadSession(designStore.uploadSession(session.id)));
+
+    } catch (error) {
+        if (error.status === 413) {
+            return res.status(413).set('Connection', 'close').json({ error: error.message });
+        }
+        console.error('Upload chunk error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        if (tempPath) fs.remove(tempPath).catch(() => {});
+    }
+});
+
+// Takes the same JSON fields as POST /api/designs, minus saveData and
+// thumbnail, and answers the same way. A rejected upload (400/403) keeps its
+// session, so it can be completed again with corrected fields.
+app.post('/api/designs/uploads/:uploadId/complete', requireApiKey, async (req, res) => {
+    const uploadId = req.params.uploadId;
+    const tempId = uuidv4();
+    const savePath = path.join(UPLOADS_TMP_DIR, `${tempId}.sav`);
+    const thumbnailPath = path.join(UPLOADS_TMP_DIR, `${tempId}.thumb`);
+    let finalizing = false;
+    try {
+        const session = isValidUUID(uploadId) && designStore.uploadSession(uploadId);
+        if (!session) {
+            return res.status(404).json({ error: 'Upload session not found' });
+        }
+        if (finalizingUploads.has(uploadId)) {
+            return res.status(409).json({ error: 'Upload is already being completed' });
+        }
+        const progress = describeUploadSession(session);
+        if (!progress.complete) {
+            return res.status(409).json({ error: 'Upload is missing chunks', missing_chunks: progress.missing_chunks });
+        }
+        finalizingUploads.add(uploadId);
+        finalizing = true;
+
+        await receiveBinaryUpload(Readable.from(readUploadChunks(session)), session.save_size, { savePath, thumbnailPath });
+        req.body = { ...req.body, saveData: undefined, thumbnail: undefined };
+        if (session.thumbnail_size > 0) {
+            req.body.thumbnail = (await fs.readFile(thumbnailPath)).toString('base64');
+        }
+        await acceptDesignUpload(req, res, savePath);
+        if (res.statusCode === 200) {
+            removeUploadSession(uploadId);
+            console.log(`Upload session completed: ${uploadId}`);
+        }
+
+    } catch (error) {
+        console.error('Upload completion error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    } finally {
+        if (finalizing) finalizingUploads.delete(uploadId);
+        fs.remove(savePath).catch(() => {});
+        fs.remove(thumbnailPath).catch(() => {});
+    }
+});
+
+app.delete('/api/designs/uploads/:uploadId', requireApiKey, (req, res) => {
+    try {
+        const uploadId = req.params.uploadId;
+        if (!isValidUUID(uploadId) || finalizingUploads.has(uploadId) || !removeUploadSession(uploadId)) {
+            return res.status(404).json({ error: 'Upload session not found' });
+        }
+        console.log(`Upload session cancelled: ${uploadId}`);
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Upload session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Catalogue version and conditional requests. Every write to the designs
+// table (and every featured list change) bumps catalogue_version, so that one
+// number tells whether anything the read routes return could have changed.
+// They send it as a weak ETag, with the time of that change as Last-Modified,
+// and answer If-None-Match / If-Modified-Since with a 304 before doing any
+// work. Results that also change with time alone (trending and hot sorts,
+// windowed top lists) fold the current UTC day or hour into both.
+// ---------------------------------------------------------------------------
+const CATALOGUE_CACHE_CONTROL = {
+    browse: 'public, no-cache', // Always revalidate: a player expects their upload to show up
+    changes: 'public, no-cache',
+    top: 'public, max-age=60, must-revalidate',
+    featured: 'public, max-age=60, must-revalidate'
+};
+
+// Sets ETag, Last-Modified, Cache-Control and X-Catalogue-Version. Returns
+// true if the client's copy is current, after sending the 304.
+function respondNotModified(req, res, cacheControl, timeBucket = null) {
+    const { version, updated_at } = designStore.catalogueVersion();
+    let lastModified = Date.parse(updated_at);
+    let etag = `W/"catalogue-${version}`;
+    if (timeBucket) {
+        const now = Date.now();
+        const bucketStart = timeBucket === 'hour'
+            ? Math.floor(now / (60 * 60 * 1000)) * 60 * 60 * 1000
+            : Date.parse(utcDay(now));
+        lastModified = Math.max(lastModified, bucketStart);
+        etag += `-${bucketStart.toString(36)}`;
+    }
+
+    res.setHeader('ETag', `${etag}"`);
+    res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+    res.setHeader('Cache-Control', cacheControl);
+    res.setHeader('X-Catalogue-Version', String(version));
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
+}
+
+// Browse paging. The cursor is the sort key of the last design on the previous
+// page (keyset pagination), so designs uploaded while a player is paging don't
+// shift later pages or show up twice the way a plain offset would. Paging is
+// asked for with limit and/or cursor; page and pageSize were documented
+// before paging existed and may be sent by shipped builds that expect the
+// whole list, so they are ignored.
+// Trending and hot scores move with time and activity, and search relevance
+// (bm25) with every design added to the index, so a score stored in a cursor
+// doesn't mark the same place a page later. Those sorts are paged by offset
+// instead: designs can still move between pages while a player is paging,
+// the way the ranking itself does.
+const BROWSE_DEFAULT_PAGE_SIZE = 20;
+const BROWSE_MAX_PAGE_SIZE = 100;
+const OFFSET_PAGED_SORTS = ['trending', 'hot', 'relevance'];
+
+// Activity-based sorts, computed from design_daily_stats. A like counts as
+// this many downloads.
+const ACTIVITY_LIKE_WEIGHT = 3;
+// trending: download/like velocity over the last TRENDING_WINDOW_DAYS days,
+// each day's activity counting half as much every TRENDING_HALF_LIFE_DAYS
+const TRENDING_WINDOW_DAYS = 30;
+const TRENDING_HALF_LIFE_DAYS = 3;
+// hot: activity in the last HOT_WINDOW_DAYS divided by the design's age in
+// hours (+2) raised to HOT_GRAVITY, so new designs with early traction rise
+// and then sink as they age
+const HOT_WINDOW_DAYS = 7;
+const HOT_GRAVITY = 1.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dailyActivity(row) {
+    return row.downloads + ACTIVITY_LIKE_WEIGHT * row.likes;
+}
+
+// Map of design ID -> score for the 'trending' or 'hot' sort. Designs with no
+// recent activity are absent (score 0).
+function activityScores(sortMode, designs, now = Date.now()) {
+    const today = Date.parse(utcDay(now));
+    const windowDays = sortMode === 'hot' ? HOT_WINDOW_DAYS : TRENDING_WINDOW_DAYS;
+    const activity = new Map();
+    for (const row of designStore.dailyStatsSince(utcDay(now, -(windowDays - 1)))) {
+        let value = dailyActivity(row);
+        if (sortMode === 'trending') {
+            const ageDays = Math.round((today - Date.parse(row.day)) / DAY_MS);
+            value *= Math.pow(0.5, ageDays / TRENDING_HALF_LIFE_DAYS);
+        }
+        activity.set(row.design_id, (activity.get(row.design_id) || 0) + value);
+    }
+
+    const scores = new Map();
+    for (const design of designs) {
+        const value = Math.max(activity.get(design.id) || 0, 0);
+        if (value === 0) continue;
+        if (sortMode === 'hot') {
+            const ageHours = Math.max(now - (Date.parse(design.upload_date) || 0), 0) / (60 * 60 * 1000);
+            scores.set(design.id, value / Math.pow(ageHours + 2, HOT_GRAVITY));
+        } else {
+            scores.set(design.id, value);
+        }
+    }
+    return scores;
+}
+
+// Sort key for a browse mode, compared descending. The design ID is the final
+// tie-breaker so the order is total and a cursor always has one exact position.
+// `scores` is the activityScores() map for the trending/hot sorts, or the
+// search relevance map for 'relevance'.
+function browseSortKey(design, sortMode, scores) {
+    const uploaded = Date.parse(design.upload_date) || 0;
+    if (sortMode === 'downloads') {
+        return [design.download_count || 0, uploaded, design.id];
+    }
+    if (sortMode === 'trending' || sortMode === 'hot' || sortMode === 'relevance') {
+        return [(scores && scores.get(design.id)) || 0, uploaded, design.id];
+    }
+    return [uploaded, design.id];
+}
+
+function compareSortKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+// `position` is the last design's sort key, or for OFFSET_PAGED_SORTS the
+// offset of the next page
+function encodeBrowseCursor(sortMode, position) {
+    const cursor = OFFSET_PAGED_SORTS.includes(sortMode) ? { s: sortMode, o: position } : { s: sortMode, k: position };
+    return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+}
+
+// Returns { key } (the sort key stored in the cursor) or { offset } for
+// OFFSET_PAGED_SORTS, or null if the cursor is malformed or was issued for a
+// different sort mode.
+function decodeBrowseCursor(cursor, sortMode) {
+    try {
+        const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!parsed || parsed.s !== sortMode) return null;
+        if (OFFSET_PAGED_SORTS.includes(sortMode)) {
+            return Number.isInteger(parsed.o) && parsed.o >= 0 ? { offset: parsed.o } : null;
+        }
+        if (!Array.isArray(parsed.k)) return null;
+        const template = browseSortKey({ upload_date: '', id: '' }, sortMode);
+        if (parsed.k.length !== template.length) return null;
+        if (parsed.k.some((value, i) => typeof value !== typeof template[i])) return null;
+        return { key: parsed.k };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Browse designs
+app.get('/api/designs', requireApiKey, (req, res) => {
+    try {
+        const activitySort = req.query.sort === 'trending' ? 'day' : (req.query.sort === 'hot' ? 'hour' : null);
+        if (respondNotModified(req, res, CATALOGUE_CACHE_CONTROL.browse, activitySort)) return;
+
+        // Only public designs show up in browse: unlisted ones are shared by
+        // id, hidden/quarantined/deleted ones are out of players' reach
+        let allMetadata = designStore.all().filter(isListedDesign);
+
+        // Get search query parameter
+        const searchQuery = req.query.search;
+        const isSearch = typeof searchQuery === 'string' && searchQuery.trim() !== '';
+
+        // Get sort parameter (searches default to relevance, everything else
+        // to date sorting for backward compatibility)
+        const sortMode = req.query.sort || (isSearch ? 'relevance' : 'date');
+
+        // Get level filter parameter (single string)
+        const levelFilter = req.query.level;
+
+        // Get level filters parameter (JSON array of strings for localized level names)
+        let levelFilters = null;
+        if (req.query.levelFilters) {
+            try {
+                levelFilters = JSON.parse(req.query.levelFilters);
+                if (!Array.isArray(levelFilters)) {
+                    levelFilters = null;
+                }
+            } catch (e) {
+                // Invalid JSON, ignore
+                levelFilters = null;
+            }
+        }
+
+        // Get date filter parameter (fromDate)
+        const fromDate = req.query.fromDate;
+
+        // Get Christmas event filter (true = only Christmas designs, false = exclude them, omit = all)
+        const christmasEventFilter = req.query.christmasEvent;
+
+        // Get event filter (event id)
+        const eventFilter = typeof req.query.event === 'string' ? req.query.event.trim() : '';
+
+        // Get tag filter (comma-separated or repeated tags=; tagMatch=all
+        // requires every tag, tagMatch=any at least one)
+        const tagFilters = [].concat(req.query.tags || [])
+            .flatMap(value => String(value).split(','))
+            .map(normalizeTag)
+            .filter(Boolean);
+        const tagMatch = req.query.tagMatch || 'all';
+        if (tagMatch !== 'all' && tagMatch !== 'any') {
+            return res.status(400).json({ error: 'tagMatch must be all or any' });
+        }
+
+        // Get the requesting game build (designs it can't load are left out)
+        const clientResult = resolveClientVersion(req.query.clientVersion);
+        if (!clientResult.ok) {
+            return res.status(400).json({ error: clientResult.error });
+        }
+        const client = clientResult.client;
+
+        // Log request summary (not user-supplied data)
+        if (isDevelopment) {
+            console.log(`Browse request: sort=${sortMode}, hasSearch=${!!searchQuery}, hasLevel=${!!levelFilter}`);
+        }
+
+        // Filter by search query if provided (full-text index over title,
+        // description, author and level; see searchTokens())
+        let relevance = null;
+        if (isSearch) {
+            relevance = designStore.search(searchQuery);
+            allMetadata = allMetadata.filter(design => relevance.has(design.id));
+        }
+
+        // Filter by level - supports both single level and array of localized level names
+        if (levelFilters && levelFilters.length > 0) {
+            // Use array of filters (for localized level names)
+            allMetadata = allMetadata.filter(design => {
+                if (!design.level) return false;
+                // Match if design.level contains ANY of the filter strings
+                return levelFilters.some(filter => design.level.includes(filter));
+            });
+        } else if (levelFilter && levelFilter.trim() !== '') {
+            // Fallback to single level filter (backward compatible)
+            allMetadata = allMetadata.filter(design => {
+                // Support both exact match and partial match (for flexibility)
+                return design.level && design.level.includes(levelFilter);
+            });
+        }
+
+        // Filter by date if provided (only show designs from this date onwards)
+        if (fromDate && fromDate.trim() !== '') {
+            const filterDate = new Date(fromDate);
+            if (!isNaN(filterDate.getTime())) {
+                allMetadata = allMetadata.filter(design => {
+                    const designDate = new Date(design.upload_date);
+                    return designDate >= filterDate;
+                });
+            }
         }
 
-        // Use provided designId or generate new one — validate format to prevent path traversal
-        if (designId && !isValidUUID(designId)) {
-            return res.status(400).json({ error: 'Invalid designId format (must be UUID)' });
+        // Filter by event if provided
+        if (eventFilter !== '') {
+            allMetadata = allMetadata.filter(design => designEventId(design) === eventFilter);
         }
-        const finalDesignId = designId || uuidv4();
-        const designFilename = `${finalDesignId}.sav`;
-        const designPath = path.join(DESIGNS_DIR, designFilename);
 
-        // Moderate the thumbnail before anything is stored. The game client
-        // treats any non-200 as its normal upload-failure path, so a rejection
-        // needs no dedicated error message.
-        if (thumbnail) {
-            const moderation = await moderateImage(thumbnail);
-            if (moderation.flagged) {
-                console.warn(`Upload rejected by image moderation: "${title}" by ${authorName || 'Anonymous'} (ID: ${finalDesignId}) — ${moderation.reason}`);
-                logModerationRejection({
-                    date: new Date().toISOString(),
-                    design_id: finalDesignId,
-                    title: title,
-                    author_name: authorName || 'Anonymous',
-                    categories: moderation.categories
-                });
-                return res.status(400).json({ error: 'Upload failed' });
+        // Filter by Christmas event flag if provided (old clients; any
+        // christmas-* event counts)
+        if (christmasEventFilter !== undefined && christmasEventFilter !== '') {
+            const wantChristmas = christmasEventFilter === 'true' || christmasEventFilter === true;
+            allMetadata = allMetadata.filter(design => {
+                const isChristmas = isChristmasEventId(designEventId(design));
+                return wantChristmas ? isChristmas : !isChristmas;
+            });
+        }
+
+        // Filter by tags if provided
+        if (tagFilters.length > 0) {
+            allMetadata = allMetadata.filter(design => {
+                const designTags = design.tags || [];
+                return tagMatch === 'any'
+                    ? tagFilters.some(tag => designTags.includes(tag))
+                    : tagFilters.every(tag => designTags.includes(tag));
+            });
+        }
+
+        // Filter by game version compatibility if a client version was sent
+        if (client) {
+            allMetadata = allMetadata.filter(design => designCompatibility(design, client) !== false);
+        }
+
+        // Sort based on the specified mode ('downloads' = download count,
+        // 'trending'/'hot' = recent activity, 'relevance' = search rank, each
+        // then newest first; default = newest first)
+        let scores = null;
+        if (sortMode === 'trending' || sortMode === 'hot') scores = activityScores(sortMode, allMetadata);
+        else if (sortMode === 'relevance') scores = relevance;
+        const sortKey = design => browseSortKey(design, sortMode, scores);
+        allMetadata.sort((a, b) => compareSortKeys(sortKey(b), sortKey(a)));
+
+        let logMessage = `Browse request: returning ${allMetadata.length} designs`;
+        if (isSearch) logMessage += `, search="${searchQuery}"`;
+        if (levelFilters) logMessage += `, levelFilters=[${levelFilters.join(', ')}]`;
+        else if (levelFilter) logMessage += `, level="${levelFilter}"`;
+        if (fromDate) logMessage += `, fromDate="${fromDate}"`;
+        if (eventFilter !== '') logMessage += `, event=${eventFilter}`;
+        if (christmasEventFilter !== undefined && christmasEventFilter !== '') logMessage += `, christmasEvent=${christmasEventFilter}`;
+        if (tagFilters.length > 0) logMessage += `, tags=[${tagFilters.join(', ')}] (${tagMatch})`;
+        if (client) logMessage += `, clientVersion=${client.version}`;
+        logMessage += `, sort=${sortMode}`;
+
+        // Search results carry the matched ranges of each field
+        const toBrowseDesign = design => {
+            const publicDesign = toPublicDesign(design);
+            if (isSearch) publicDesign.highlights = searchHighlights(design, searchQuery);
+            if (client) publicDesign.compatible = designCompatibility(design, client);
+            return publicDesign;
+        };
+
+        // Clients that send no paging params get every matching design (legacy
+        // behaviour the shipped game relies on)
+        const { limit, cursor } = req.query;
+        if (limit === undefined && cursor === undefined) {
+            console.log(logMessage);
+            return res.json({
+                designs: allMetadata.map(toBrowseDesign),
+                total: allMetadata.length
+            });
+        }
+
+        const size = Math.min(Math.max(parseInt(limit, 10) || BROWSE_DEFAULT_PAGE_SIZE, 1), BROWSE_MAX_PAGE_SIZE);
+        let start = 0;
+        if (cursor !== undefined) {
+            const position = typeof cursor === 'string' ? decodeBrowseCursor(cursor, sortMode) : null;
+            if (!position) {
+                return res.status(400).json({ error: 'Invalid cursor (it must come from a browse response with the same sort)' });
             }
-            if (!moderation.checked && MODERATION_FAIL_CLOSED) {
-                console.warn(`Upload rejected: moderation unavailable and MODERATION_FAIL_CLOSED is set (ID: ${finalDesignId})`);
-                return res.status(400).json({ error: 'Upload failed' });
+            if (position.key) {
+                // First design that sorts strictly after the cursor position
+                start = allMetadata.findIndex(d => compareSortKeys(sortKey(d), position.key) < 0);
+                if (start === -1) start = allMetadata.length;
+            } else {
+                start = Math.min(position.offset, allMetadata.length);
+            }
+        }
+
+        const pageDesigns = allMetadata.slice(start, start + size);
+        const hasMore = start + size < allMetadata.length;
+        const lastDesign = pageDesigns[pageDesigns.length - 1];
+
+        console.log(`${logMessage}, page of ${pageDesigns.length} from ${start}`);
+
+        res.json({
+            designs: pageDesigns.map(toBrowseDesign),
+            total: allMetadata.length,
+            limit: size,
+            next_cursor: hasMore && lastDesign
+                ? encodeBrowseCursor(sortMode, OFFSET_PAGED_SORTS.includes(sortMode) ? start + pageDesigns.length : sortKey(lastDesign))
+                : null
+        });
+
+    } catch (error) {
+        console.error('Browse error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Days covered by each /api/designs/top window (today included)
+const TOP_WINDOWS = { '7d': 7, '30d': 30, all: null };
+
+// Get top downloaded designs (window=7d|30d counts only recent downloads;
+// default all = all-time download_count)
+app.get('/api/designs/top', requireApiKey, (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 3, 50);
+        const window = req.query.window || 'all';
+        if (!Object.prototype.hasOwnProperty.call(TOP_WINDOWS, window)) {
+            return res.status(400).json({ error: 'window must be 7d, 30d or all' });
+        }
+        const clientResult = resolveClientVersion(req.query.clientVersion);
+        if (!clientResult.ok) {
+            return res.status(400).json({ error: clientResult.error });
+        }
+        const client = clientResult.client;
+        if (respondNotModified(req, res, CATALOGUE_CACHE_CONTROL.top, TOP_WINDOWS[window] ? 'day' : null)) return;
+        
+        // Sorted by download count (highest first), then by upload date
+        // (newest first). Designs the client can't load are skipped, reading
+        // further down the list to fill their places.
+        const windowDays = TOP_WINDOWS[window];
+        const fetchTop = size => windowDays
+            ? designStore.topSince(utcDay(Date.now(), -(windowDays - 1)), size)
+            : designStore.top(size);
+        let top = fetchTop(limit);
+        if (client) {
+            for (let size = limit; ; size *= 2) {
+                const rows = size === limit ? top : fetchTop(size);
+                top = rows.filter(design => designCompatibility(design, client) !== false);
+                if (top.length >= limit || rows.length < size) break;
+            }
+            top = top.slice(0, limit);
+        }
+        const topDesigns = top.map(design => {
+            const publicDesign = toPublicDesign(design);
+            if (client) publicDesign.compatible = designCompatibility(design, client);
+            return publicDesign;
+        });
+        
+        res.json({
+            designs: topDesigns,
+            total: designStore.countListed(),
+            limit: limit,
+            window: window
+        });
+        
+    } catch (error) {
+        console.error('Top designs error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+const CHANGES_DEFAULT_LIMIT = 500;
+const CHANGES_MAX_LIMIT = 1000;
+
+// GET /api/designs/changes?since=<token>&limit=500 — delta sync. Returns the
+// designs that appeared in or changed in browse since the token (`designs`,
+// full browse entries to insert or replace) and the ones that left it
+// (`removed`: deleted, or no longer public), plus the token to send next
+// time. since=0 returns the whole catalogue. With clientVersion, designs that
+// build can't load are left out like in browse (`removed` with reason
+// 'incompatible'); a client whose build changed should sync again from 0. With has_more, call again with
+// the returned token straight away. The token is the catalogue version (see
+// "Catalogue version and conditional requests"); one the server doesn't know
+// (e.g. after a data reset) gets 410 and the client should sync from 0.
+app.get('/api/designs/changes', requireApiKey, (req, res) => {
+    try {
+        const since = req.query.since === undefined ? NaN : Number(req.query.since);
+        if (!Number.isSafeInteger(since) || since < 0) {
+            return res.status(400).json({ error: 'since must be a sync token from a previous response, or 0' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || CHANGES_DEFAULT_LIMIT, 1), CHANGES_MAX_LIMIT);
+        const clientResult = resolveClientVersion(req.query.clientVersion);
+        if (!clientResult.ok) {
+            return res.status(400).json({ error: clientResult.error });
+        }
+        const client = clientResult.client;
+
+        const current = designStore.catalogueVersion().version;
+        if (since > current) {
+            return res.status(410).json({ error: 'Unknown sync token, sync again from 0', reset: true });
+        }
+        if (respondNotModified(req, res, CATALOGUE_CACHE_CONTROL.changes)) return;
+
+        const changes = designStore.designChangesSince(since, limit);
+        const designs = [];
+        const removed = [];
+        for (const change of changes) {
+            const design = designStore.get(change.design_id);
+            const compatible = design && client ? designCompatibility(design, client) : null;
+            if (design && isListedDesign(design) && compatible !== false) {
+                const publicDesign = toPublicDesign(design);
+                if (client) publicDesign.compatible = compatible;
+                designs.push(publicDesign);
+            } else if (since > 0) { // A client starting from scratch has nothing to remove
+                const reason = !design || design.deleted_at ? 'deleted' : isListedDesign(design) ? 'incompatible' : 'hidden';
+                removed.push({ id: change.design_id, reason });
+            }
+        }
+
+        const hasMore = changes.length === limit;
+        res.json({
+            designs,
+            removed,
+            token: String(hasMore ? changes[changes.length - 1].version : current),
+            has_more: hasMore
+        });
+    } catch (error) {
+        console.error('Design changes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Download design (POST to increment counter). Hidden, quarantined and
+// deleted designs 404 for players; admins can still download them (without
+// counting the download).
+app.post('/api/designs/:id/download', requireApiKey, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+        const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+
+        const design = getVisibleDesign(designId, req);
+        if (!design || !fs.existsSync(designPath)) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        // Increment download counter and get metadata
+        const designMetadata = hasValidAdminKey(req) ? design : designStore.recordDownload(designId);
+
+        // Read and return design file (explicitly as binary)
+        const designData = fs.readFileSync(designPath);
+        const base64Data = Buffer.from(designData).toString('base64');
+
+        console.log(`Design downloaded: ${designId}`);
+
+        // Return complete metadata along with save data
+        const response = {
+            saveData: base64Data,
+            designId: designId,
+            id: designId // Include both for compatibility
+        };
+
+        // Add metadata if found
+        if (designMetadata) {
+            response.title = designMetadata.title;
+            response.description = designMetadata.description;
+            response.author_name = designMetadata.author_name;
+            response.level = designMetadata.level;
+            response.download_count = designMetadata.download_count;
+            response.like_count = designMetadata.like_count || 0;
+            response.upload_date = designMetadata.upload_date;
+            response.thumbnail_url = designMetadata.thumbnail_url;
+            response.event_id = designEventId(designMetadata);
+            response.christmas_event = isChristmasEventId(response.event_id); // Old clients
+            response.revision = designMetadata.revision || null;
+            response.tags = designMetadata.tags || [];
+            response.save_sha256 = designMetadata.save_sha256 || null; // SHA-256 of the decoded saveData
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Download error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// X-Design-Metadata for a binary download: the design's fields as Base64
+// JSON, with an earlier revision's own text fields when one was requested.
+// Base64 encoded to support Chinese, Japanese, Korean and other non-ASCII
+// characters.
+function binaryDownloadMetadata(designMetadata, revision) {
+    const source = revision || designMetadata;
+    const metadataJson = JSON.stringify({
+        designId: designMetadata.id,
+        id: designMetadata.id,
+        title: source.title,
+        description: source.description,
+        author_name: source.author_name,
+        level: source.level,
+        download_count: designMetadata.download_count,
+        like_count: designMetadata.like_count || 0,
+        upload_date: source.upload_date,
+        thumbnail_url: designMetadata.thumbnail_url,
+        event_id: designEventId(source),
+        christmas_event: isChristmasEventId(designEventId(source)), // Old clients
+        revision: revision ? revision.revision : (designMetadata.revision || null),
+        tags: designMetadata.tags || [],
+        save_sha256: source.save_sha256 || null
+    });
+    return Buffer.from(metadataJson, 'utf8').toString('base64');
+}
+
+// Lets HTTP clients verify the body too (RFC 9530). It is the digest of the
+// save as stored, and Repr-Digest covers the representation after any
+// Content-Encoding, so only send it with an unencoded body. Clients of a
+// compressed download check save_sha256 in X-Design-Metadata after decoding.
+function setSaveDigest(res, saveSha256) {
+    if (saveSha256) {
+        res.setHeader('Repr-Digest', `sha-256=:${Buffer.from(saveSha256, 'hex').toString('base64')}:`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Compressed save variants. Every stored .sav also gets a Brotli (.sav.br)
+// and a gzip (.sav.gz) copy, written in the background after the upload (one
+// design at a time), so GET .../download/binary can send a compressed body
+// and still answer Range requests: ranges then count bytes of the compressed
+// body. A variant is only sent if it is newer than the .sav and smaller.
+// ---------------------------------------------------------------------------
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzipCompress = promisify(zlib.gzip);
+const SAVE_ENCODINGS = [
+    {
+        encoding: 'br',
+        ext: 'br',
+        compress: buffer => brotliCompress(buffer, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: 9,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+            }
+        })
+    },
+    { encoding: 'gzip', ext: 'gz', compress: buffer => gzipCompress(buffer, { level: 9 }) }
+];
+let saveCompressionQueue = Promise.resolve();
+
+function compressedSavePath(designId, variant) {
+    return path.join(DESIGNS_DIR, `${designId}.sav.${variant.ext}`);
+}
+
+function removeCompressedSaves(designId) {
+    for (const variant of SAVE_ENCODINGS) {
+        fs.removeSync(compressedSavePath(designId, variant));
+    }
+}
+
+// Writes the compressed variants of a design's current save. A save replaced
+// while it was being compressed is left for the newer upload's own run.
+async function compressDesignSave(designId) {
+    const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+    if (!fs.existsSync(designPath)) return;
+    const before = fs.statSync(designPath);
+    const data = await fs.readFile(designPath);
+    for (const variant of SAVE_ENCODINGS) {
+        const compressed = await variant.compress(data);
+        const after = fs.existsSync(designPath) ? fs.statSync(designPath) : null;
+        if (!after || after.mtimeMs !== before.mtimeMs || after.size !== before.size) return;
+        const variantPath = compressedSavePath(designId, variant);
+        await fs.writeFile(`${variantPath}.tmp`, compressed);
+        await fs.rename(`${variantPath}.tmp`, variantPath);
+    }
+}
+
+function queueSaveCompression(designId) {
+    saveCompressionQueue = saveCompressionQueue
+        .then(() => compressDesignSave(designId))
+        .catch(error => console.error(`Save compression failed for ${designId}:`, error));
+    return saveCompressionQueue;
+}
+
+// The variant to send for this request ({ encoding, path }), or null for the
+// .sav itself. Only encodings the client lists explicitly are used: the game
+// client doesn't send Accept-Encoding.
+function pickCompressedSave(req, designId) {
+    const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+    const saveStat = fs.statSync(designPath);
+    for (const variant of SAVE_ENCODINGS) {
+        if (!acceptsExplicitly(req.headers['accept-encoding'], variant.encoding)) continue;
+        const variantPath = compressedSavePath(designId, variant);
+        if (!fs.existsSync(variantPath)) continue;
+        const variantStat = fs.statSync(variantPath);
+        if (variantStat.mtimeMs >= saveStat.mtimeMs && variantStat.size < saveStat.size) {
+            return { encoding: variant.encoding, path: variantPath };
+        }
+    }
+    return null;
+}
+
+// Compresses the saves of designs stored before variants existed (or whose
+// variants are older than the save)
+async function backfillCompressedSaves() {
+    let queued = 0;
+    for (const design of designStore.all()) {
+        const designPath = path.join(DESIGNS_DIR, `${design.id}.sav`);
+        if (!fs.existsSync(designPath)) continue;
+        const saveTime = fs.statSync(designPath).mtimeMs;
+        const stale = SAVE_ENCODINGS.some(variant => {
+            const variantPath = compressedSavePath(design.id, variant);
+            return !fs.existsSync(variantPath) || fs.statSync(variantPath).mtimeMs < saveTime;
+        });
+        if (!stale) continue;
+        queueSaveCompression(design.id);
+        queued++;
+    }
+    await saveCompressionQueue;
+    if (queued > 0) console.log(`Compressed saves backfilled for ${queued} design(s)`);
+}
+
+// Binary download endpoint (no Base64 overhead) - MUCH faster for large saves.
+// Send `revision` (body or query) to get an earlier revision instead of the
+// current one.
+app.post('/api/designs/:id/download/binary', requireApiKey, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+        let designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+
+        const design = getVisibleDesign(designId, req);
+        if (!design || !fs.existsSync(designPath)) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        const requestedRevision = req.body?.revision ?? req.query.revision;
+        let revision = null;
+        if (requestedRevision !== undefined) {
+            const revisionNumber = Number(requestedRevision);
+            if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+                return res.status(400).json({ error: 'revision must be a positive integer' });
+            }
+            revision = designStore.getRevision(designId, revisionNumber);
+            designPath = revision ? revisionFilePath(designId, revisionNumber, 'sav') : null;
+            if (!designPath || !fs.existsSync(designPath)) {
+                return res.status(404).json({ error: 'Revision not found' });
             }
         }
 
-        // Save design file (always overwrite)
-        if (!saveBase64File(saveData, designPath)) {
-            return res.status(500).json({ error: 'Failed to save design file' });
+        // Increment download counter and get metadata
+        const designMetadata = hasValidAdminKey(req) ? design : designStore.recordDownload(designId);
+
+        // Send metadata as JSON header (Base64-encoded for non-Latin character support)
+        if (designMetadata) {
+            res.setHeader('X-Design-Metadata', binaryDownloadMetadata(designMetadata, revision));
+        }
+        setSaveDigest(res, (revision || design).save_sha256);
+
+        // Send binary file directly (no Base64 conversion)
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Length', fs.statSync(designPath).size);
+
+        console.log(`Design downloaded (binary): ${designId}${revision ? ` revision ${revision.revision}` : ''} (${(fs.statSync(designPath).size / 1024).toFixed(0)}KB)`);
+
+        res.sendFile(designPath);
+
+    } catch (error) {
+        console.error('Binary download error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Binary download over GET, resumable: Accept-Ranges, Range (206), If-Range
+// and conditional requests are answered from the file, and the current
+// version is sent Brotli or gzip encoded when the client asks for it (see
+// "Compressed save variants"). ?revision= gets an earlier revision, sent as
+// stored. A download is counted once, when a response that runs to the end
+// of the file has been sent: a full 200, or the 206 that finishes a resumed
+// download. Earlier ranges, HEAD, 304 and aborted transfers don't count.
+app.get('/api/designs/:id/download/binary', requireApiKey, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+        let designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+
+        const design = getVisibleDesign(designId, req);
+        if (!design || !fs.existsSync(designPath)) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        let revision = null;
+        if (req.query.revision !== undefined) {
+            const revisionNumber = Number(req.query.revision);
+            if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+                return res.status(400).json({ error: 'revision must be a positive integer' });
+            }
+            revision = designStore.getRevision(designId, revisionNumber);
+            designPath = revision ? revisionFilePath(designId, revisionNumber, 'sav') : null;
+            if (!designPath || !fs.existsSync(designPath)) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+        }
+
+        const compressed = revision ? null : pickCompressedSave(req, designId);
+        const filePath = compressed ? compressed.path : designPath;
+        const size = fs.statSync(filePath).size;
+
+        res.setHeader('X-Design-Metadata', binaryDownloadMetadata(design, revision));
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.setHeader('Vary', 'Accept-Encoding');
+        if (compressed) {
+            res.setHeader('Content-Encoding', compressed.encoding);
+        } else {
+            setSaveDigest(res, (revision || design).save_sha256);
+        }
+
+        // A single range ending at the last byte finishes the download
+        const ranges = req.headers.range ? req.range(size) : null;
+        const reachesEnd = !Array.isArray(ranges) || ranges.length !== 1 || ranges[0].end === size - 1;
+        const countable = req.method === 'GET' && !hasValidAdminKey(req);
+
+        res.sendFile(filePath, error => {
+            if (error) {
+                // Headers already sent means the client went away mid-transfer
+                if (res.headersSent) return;
+                if (error.status === 416) {
+                    res.setHeader('Content-Range', `bytes */${size}`);
+                    return res.status(416).json({ error: 'Range not satisfiable' });
+                }
+                console.error('Binary download error:', error);
+                res.status(500).json({ error: 'Internal server error' });
+                return;
+            }
+            if (countable && (res.statusCode === 200 || (res.statusCode === 206 && reachesEnd))) {
+                designStore.recordDownload(designId);
+                console.log(`Design downloaded (binary GET): ${designId}${revision ? ` revision ${revision.revision}` : ''}${compressed ? ` [${compressed.encoding}]` : ''} (${(size / 1024).toFixed(0)}KB)`);
+            }
+        });
+
+    } catch (error) {
+        console.error('Binary download error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Moderation status of an upload, for the game to poll after a
+// pending_review response: pending_review, published or rejected
+app.get('/api/designs/:id/status', requireApiKey, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+
+        const design = designStore.get(designId);
+        let status = null;
+        if (design && !design.deleted_at) {
+            if (isPendingReview(design)) {
+                status = 'pending_review';
+            } else if (isVisibleToPlayers(design)) {
+                status = 'published';
+            } else if (designVisibility(design) === 'quarantined' && design.visibility_reason === 'image_moderation') {
+                status = 'rejected';
+            }
         }
+        if (!status) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        res.json({ design_id: designId, status, revision: design.revision || null });
+
+    } catch (error) {
+        console.error('Design status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Save and compress thumbnail if provided (always overwrite)
-        let thumbnailUrl = null;
-        if (thumbnail) {
-            const thumbnailFilename = `${finalDesignId}.png`;
-            const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailFilename);
-            
-            // Use compression for new thumbnails
-            const savedThumbnailPath = await compressAndSaveThumbnail(thumbnail, thumbnailPath);
-            if (savedThumbnailPath) {
-                const savedFilename = path.basename(savedThumbnailPath);
-                thumbnailUrl = `/api/thumbnails/${savedFilename}`;
-            }
+// List a design's revisions, newest first
+app.get('/api/designs/:id/revisions', requireApiKey, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
         }
 
-        // Check if design already exists (update vs create)
-        const allMetadata = loadMetadata();
-        const existingIndex = allMetadata.findIndex(d => d.id === finalDesignId);
-        
-        if (existingIndex !== -1) {
-            // Update existing design (preserve download_count)
-            const existingDesign = allMetadata[existingIndex];
-            allMetadata[existingIndex] = {
-                id: finalDesignId,
-                title: title || 'Untitled Design',
-                description: description || '',
-                author_name: authorName || 'Anonymous',
-                level: level || '',
-                download_count: existingDesign.download_count, // Preserve download count
-                upload_date: new Date().toISOString(), // Update to current time
-                thumbnail_url: thumbnailUrl || existingDesign.thumbnail_url, // Use new thumbnail or keep existing
-                christmas_event: christmasEvent === true // Boolean flag for Christmas event designs
-            };
-            console.log(`Design updated: ${title} by ${authorName} (ID: ${finalDesignId})${christmasEvent ? ' [Christmas Event]' : ''}`);
-        } else {
-            // Create new design
-            const designMetadata = {
-                id: finalDesignId,
-                title: title || 'Untitled Design',
-                description: description || '',
-                author_name: authorName || 'Anonymous',
-                level: level || '',
-                download_count: 0,
-                upload_date: new Date().toISOString(),
-                thumbnail_url: thumbnailUrl,
-                christmas_event: christmasEvent === true // Boolean flag for Christmas event designs
-            };
-            allMetadata.push(designMetadata);
-            console.log(`Design created: ${title} by ${authorName} (ID: ${finalDesignId})${christmasEvent ? ' [Christmas Event]' : ''}`);
+        const design = getVisibleDesign(designId, req);
+        if (!design) {
+            return res.status(404).json({ error: 'Design not found' });
         }
-        
-        saveMetadata(allMetadata);
 
-        const isUpdate = existingIndex !== -1;
-        res.json({ 
-            success: true, 
-            design_id: finalDesignId,
-            updated: isUpdate,
-            message: isUpdate ? 'Design updated successfully' : 'Design uploaded successfully' 
+        res.json({
+            design_id: designId,
+            current_revision: design.revision || null,
+            revisions: designStore.revisions(designId).map(toRevisionSummary)
         });
 
     } catch (error) {
-        console.error('Upload error:', error);
+        console.error('List revisions error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Browse designs
-app.get('/api/designs', requireApiKey, (req, res) => {
+// Get metadata for multiple designs by IDs (no save data download)
+app.post('/api/designs/metadata', requireApiKey, (req, res) => {
     try {
-        let allMetadata = loadMetadata();
-
-        // Get sort parameter (default to date sorting for backward compatibility)
-        const sortMode = req.query.sort || 'date';
-
-        // Get search query parameter
-        const searchQuery = req.query.search;
-
-        // Get level filter parameter (single string)
-        const levelFilter = req.query.level;
+        const { ids } = req.body;
 
-        // Get level filters parameter (JSON array of strings for localized level names)
-        let levelFilters = null;
-        if (req.query.levelFilters) {
-            try {
-                levelFilters = JSON.parse(req.query.levelFilters);
-                if (!Array.isArray(levelFilters)) {
-                    levelFilters = null;
-                }
-            } catch (e) {
-                // Invalid JSON, ignore
-                levelFilters = null;
-            }
+        if (!ids) {
+            return res.status(400).json({ error: 'Missing ids field in request body' });
         }
 
-        // Get date filter parameter (fromDate)
-        const fromDate = req.query.fromDate;
-
-        // Get Christmas event filter (true = only Christmas designs, false = exclude them, omit = all)
-        const christmasEventFilter = req.query.christmasEvent;
-
-        // Log request summary (not user-supplied data)
-        if (isDevelopment) {
-            console.log(`Browse request: sort=${sortMode}, hasSearch=${!!searchQuery}, hasLevel=${!!levelFilter}`);
+        // Designs are looked up by id, so ones the client can't load are
+        // flagged (compatible: false) rather than left out
+        const clientResult = resolveClientVersion(req.body.clientVersion ?? req.query.clientVersion);
+        if (!clientResult.ok) {
+            return res.status(400).json({ error: clientResult.error });
         }
+        const client = clientResult.client;
 
-        // Filter by search query if provided
-        if (searchQuery && searchQuery.trim() !== '') {
-            const searchLower = searchQuery.toLowerCase().trim();
-            allMetadata = allMetadata.filter(design => {
-                const titleMatch = design.title.toLowerCase().includes(searchLower);
-                const authorMatch = design.author_name.toLowerCase().includes(searchLower);
-                return titleMatch || authorMatch;
-            });
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'ids field must be an array' });
         }
 
-        // Filter by level - supports both single level and array of localized level names
-        if (levelFilters && levelFilters.length > 0) {
-            // Use array of filters (for localized level names)
-            allMetadata = allMetadata.filter(design => {
-                if (!design.level) return false;
-                // Match if design.level contains ANY of the filter strings
-                return levelFilters.some(filter => design.level.includes(filter));
-            });
-        } else if (levelFilter && levelFilter.trim() !== '') {
-            // Fallback to single level filter (backward compatible)
-            allMetadata = allMetadata.filter(design => {
-                // Support both exact match and partial match (for flexibility)
-                return design.level && design.level.includes(levelFilter);
-            });
+        if (ids.length === 0) {
+            return res.status(400).json({ error: 'Empty IDs array' });
         }
 
-        // Filter by date if provided (only show designs from this date onwards)
-        if (fromDate && fromDate.trim() !== '') {
-            const filterDate = new Date(fromDate);
-            if (!isNaN(filterDate.getTime())) {
-                allMetadata = allMetadata.filter(design => {
-                    const designDate = new Date(design.upload_date);
-                    return designDate >= filterDate;
-                });
-            }
+        if (ids.length > 100) {
+            return res.status(400).json({ error: 'Too many IDs (max 100)' });
         }
 
-        // Filter by Christmas event flag if provided
-        if (christmasEventFilter !== undefined && christmasEventFilter !== '') {
-            const wantChristmas = christmasEventFilter === 'true' || christmasEventFilter === true;
-            allMetadata = allMetadata.filter(design => {
-                // Treat missing/undefined christmas_event as false (backward compatible)
-                const isChristmas = design.christmas_event === true;
-                return wantChristmas ? isChristmas : !isChristmas;
-            });
-        }
+        console.log(`Metadata request for ${ids.length} design(s)`);
 
-        // Sort based on the specified mode
-        if (sortMode === 'downloads') {
-            // Sort by download count (highest first), then by upload date (newest first)
-            allMetadata.sort((a, b) => {
-                if (b.download_count !== a.download_count) {
-                    return b.download_count - a.download_count;
-                }
-                return new Date(b.upload_date) - new Date(a.upload_date);
-            });
-        } else {
-            // Default: Sort by upload date (newest first)
-            allMetadata.sort((a, b) => new Date(b.upload_date) - new Date(a.upload_date));
-        }
+        // Look up only the requested IDs. Unlisted designs are included (the
+        // player already has the id); hidden and deleted ones are not.
+        const isAdmin = hasValidAdminKey(req);
+        const requestedMetadata = designStore.getMany(ids.filter(id => typeof id === 'string'))
+            .filter(design => isAdmin || isVisibleToPlayers(design));
 
-        // ALWAYS return ALL designs (filtered if search/level/date provided) - no pagination
-        let logMessage = `Browse request: returning ${allMetadata.length} designs`;
-        if (searchQuery) logMessage += `, search="${searchQuery}"`;
-        if (levelFilters) logMessage += `, levelFilters=[${levelFilters.join(', ')}]`;
-        else if (levelFilter) logMessage += `, level="${levelFilter}"`;
-        if (fromDate) logMessage += `, fromDate="${fromDate}"`;
-        if (christmasEventFilter !== undefined && christmasEventFilter !== '') logMessage += `, christmasEvent=${christmasEventFilter}`;
-        logMessage += `, sort=${sortMode}`;
-        console.log(logMessage);
+        // Return metadata in same format as browse endpoint
+        const designs = requestedMetadata.map(design => ({
+            id: design.id,
+            designId: design.id,
+            title: design.title,
+            description: design.description,
+            author_name: design.author_name,
+            level: design.level,
+            download_count: design.download_count,
+            like_count: design.like_count || 0,
+            upload_date: design.upload_date,
+            thumbnail_url: design.thumbnail_url,
+            event_id: designEventId(design),
+            christmas_event: isChristmasEventId(designEventId(design)), // Old clients
+            revision: design.revision || null,
+            tags: design.tags || [],
+            visibility: designVisibility(design),
+            game_version: design.game_version || null,
+            save_format_version: design.save_format_version || null,
+            ...(client ? { compatible: designCompatibility(design, client) } : {})
+        }));
 
-        res.json({
-            designs: allMetadata,
-            total: allMetadata.length
-        });
+        res.json({ designs });
 
     } catch (error) {
-        console.error('Browse error:', error);
+        console.error('Get metadata error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get top downloaded designs
-app.get('/api/designs/top', requireApiKey, (req, res) => {
+// ============================================================================
+// Featured designs — remote-editable list of design IDs the game pulls on
+// startup to populate the Online Showcase / featured section without shipping
+// a game update. Stored as a JSON array of strings in storage/featured.json.
+// Player endpoint is GET (API-key gated); update is POST (admin-key gated).
+// ============================================================================
+
+// GET /api/featured — returns { ids: [...] }. Empty array if no file yet.
+app.get('/api/featured', requireApiKey, (req, res) => {
     try {
-        const limit = Math.min(parseInt(req.query.limit) || 3, 50);
-        
-        const allMetadata = loadMetadata();
-        
-        // Sort by download count (highest first), then by upload date (newest first)
-        allMetadata.sort((a, b) => {
-            if (b.download_count !== a.download_count) {
-                return b.download_count - a.download_count;
-            }
-            return new Date(b.upload_date) - new Date(a.upload_date);
-        });
-        
-        // Take the top designs
-        const topDesigns = allMetadata.slice(0, limit);
-        
-        res.json({
-            designs: topDesigns,
-            total: allMetadata.length,
-            limit: limit
+        if (respondNotModified(req, res, CATALOGUE_CACHE_CONTROL.featured)) return;
+
+        const ids = readJsonStore(FEATURED_FILE, 'Featured');
+        if (!Array.isArray(ids)) {
+            console.error('featured.json is not an array — returning empty list');
+            return res.json({ ids: [] });
+        }
+        // Featured designs that have since been unlisted, hidden, deleted or
+        // purged drop out without editing the list
+        const listed = ids.filter(id => {
+            const design = typeof id === 'string' ? designStore.get(id) : null;
+            return design && isListedDesign(design);
         });
-        
+        res.json({ ids: listed });
     } catch (error) {
-        console.error('Top designs error:', error);
+        console.error('Featured fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Download design (POST to increment counter)
-app.post('/api/designs/:id/download', requireApiKey, (req, res) => {
+// GET /api/featured/admin — admin-gated read of the same list (the public GET
+// is api-key gated, so the dashboard which uses admin auth needs its own read path).
+app.get('/api/featured/admin', requireAdmin, (req, res) => {
     try {
-        const designId = req.params.id;
-        if (!isValidUUID(designId)) {
-            return res.status(400).json({ error: 'Invalid design ID format' });
-        }
-        const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+        const ids = readJsonStore(FEATURED_FILE, 'Featured');
+        res.json({ ids: Array.isArray(ids) ? ids : [] });
+    } catch (error) {
+        console.error('Featured admin fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (!fs.existsSync(designPath)) {
-            return res.status(404).json({ error: 'Design not found' });
+// POST /api/featured/admin — body: { ids: ["...", "..."] }. Replaces the
+// entire featured list. Admin-key gated.
+app.post('/api/featured/admin', requireAdmin, (req, res) => {
+    try {
+        const { ids } = req.body;
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'ids field must be an array of strings' });
+        }
+        if (ids.some(id => typeof id !== 'string')) {
+            return res.status(400).json({ error: 'all ids must be strings' });
+        }
+        if (ids.length > 200) {
+            return res.status(400).json({ error: 'too many ids (max 200)' });
         }
+        writeJsonStore(FEATURED_FILE, 'Featured', ids);
+        designStore.bumpCatalogueVersion();
+        console.log(`Featured list updated — ${ids.length} id(s)`);
+        res.json({ ok: true, count: ids.length });
+    } catch (error) {
+        console.error('Featured update error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Increment download counter and get metadata
-        const allMetadata = loadMetadata();
-        const designIndex = allMetadata.findIndex(d => d.id === designId);
-        let designMetadata = null;
+// ============================================================================
+// Tags — designs carry up to MAX_DESIGN_TAGS tags from a server-managed
+// vocabulary, stored as [{ tag, label }] in storage/tags.json. Tags are
+// lowercase words joined by '-' or ':' (cozy, modern, event:halloween-2026).
+// The game reads the vocabulary with counts from GET /api/tags; the admin
+// replaces it with POST /api/tags/admin and retags single designs.
+// ============================================================================
 
-        if (designIndex !== -1) {
-            allMetadata[designIndex].download_count += 1;
-            designMetadata = allMetadata[designIndex];
-            saveMetadata(allMetadata);
-        }
+const TAG_REGEX = /^[a-z0-9]+(?:[-:][a-z0-9]+)*$/;
+const MAX_TAG_LENGTH = 40;
+const MAX_DESIGN_TAGS = 5;
+const MAX_VOCABULARY_TAGS = 200;
 
-        // Read and return design file (explicitly as binary)
-        const designData = fs.readFileSync(designPath);
-        const base64Data = Buffer.from(designData).toString('base64');
+function loadTagVocabulary() {
+    const list = readJsonStore(TAGS_FILE, 'Tags');
+    return Array.isArray(list) ? list : [];
+}
 
-        console.log(`Design downloaded: ${designId}`);
+function saveTagVocabulary(tags) {
+    writeJsonStore(TAGS_FILE, 'Tags', tags);
+}
 
-        // Return complete metadata along with save data
-        const response = {
-            saveData: base64Data,
-            designId: designId,
-            id: designId // Include both for compatibility
-        };
+function normalizeTag(raw) {
+    return typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+}
 
-        // Add metadata if found
-        if (designMetadata) {
-            response.title = designMetadata.title;
-            response.description = designMetadata.description;
-            response.author_name = designMetadata.author_name;
-            response.level = designMetadata.level;
-            response.download_count = designMetadata.download_count;
-            response.upload_date = designMetadata.upload_date;
-            response.thumbnail_url = designMetadata.thumbnail_url;
-            response.christmas_event = designMetadata.christmas_event === true; // Default to false if missing
+// Validate an incoming vocabulary. Entries may be bare tag strings or
+// { tag, label } objects.
+function validateTagVocabulary(list) {
+    if (!Array.isArray(list)) return { ok: false, error: 'tags must be an array' };
+    if (list.length > MAX_VOCABULARY_TAGS) return { ok: false, error: `too many tags (max ${MAX_VOCABULARY_TAGS})` };
+
+    const seen = new Set();
+    const cleaned = [];
+
+    for (const entry of list) {
+        const tag = normalizeTag(typeof entry === 'string' ? entry : entry?.tag);
+        if (!TAG_REGEX.test(tag) || tag.length > MAX_TAG_LENGTH) {
+            return { ok: false, error: `invalid tag "${tag}" (lowercase letters and numbers joined by - or :, max ${MAX_TAG_LENGTH})` };
         }
+        if (seen.has(tag)) return { ok: false, error: `duplicate tag "${tag}"` };
+        seen.add(tag);
 
-        res.json(response);
+        const label = typeof entry === 'object' && entry ? String(entry.label || '').trim().slice(0, 60) : '';
+        cleaned.push({ tag, label: label || tag });
+    }
+
+    return { ok: true, tags: cleaned };
+}
+
+// Split a design's requested tags into vocabulary tags (deduplicated, in the
+// order given) and unknown ones
+function resolveDesignTags(raw, vocabulary) {
+    if (!Array.isArray(raw) || raw.some(tag => typeof tag !== 'string')) {
+        return { ok: false, error: 'tags must be an array of strings' };
+    }
+    const known = new Set(vocabulary.map(entry => entry.tag));
+    const tags = [];
+    const unknown = [];
+    for (const tag of raw.map(normalizeTag).filter(Boolean)) {
+        if (!known.has(tag)) unknown.push(tag);
+        else if (!tags.includes(tag)) tags.push(tag);
+    }
+    if (tags.length > MAX_DESIGN_TAGS) {
+        return { ok: false, error: `too many tags (max ${MAX_DESIGN_TAGS})` };
+    }
+    return { ok: true, tags, unknown };
+}
+
+function tagVocabularyWithCounts() {
+    const counts = designStore.tagCounts();
+    return loadTagVocabulary().map(entry => ({ ...entry, count: counts.get(entry.tag) || 0 }));
+}
 
+// GET /api/tags — returns { tags: [{ tag, label, count }] } in vocabulary order
+app.get('/api/tags', requireApiKey, (req, res) => {
+    try {
+        res.json({ tags: tagVocabularyWithCounts() });
     } catch (error) {
-        console.error('Download error:', error);
+        console.error('Tags fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Binary download endpoint (no Base64 overhead) - MUCH faster for large saves
-app.post('/api/designs/:id/download/binary', requireApiKey, (req, res) => {
+app.get('/api/tags/admin', requireAdmin, (req, res) => {
     try {
-        const designId = req.params.id;
-        if (!isValidUUID(designId)) {
-            return res.status(400).json({ error: 'Invalid design ID format' });
-        }
-        const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
+        res.json({ tags: tagVocabularyWithCounts() });
+    } catch (error) {
+        console.error('Tags admin fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (!fs.existsSync(designPath)) {
-            return res.status(404).json({ error: 'Design not found' });
+// POST /api/tags/admin — body: { tags: [...] }. Replaces the whole vocabulary;
+// tags that are no longer in it are removed from every design.
+app.post('/api/tags/admin', requireAdmin, (req, res) => {
+    try {
+        const result = validateTagVocabulary(req.body?.tags);
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error });
         }
 
-        // Increment download counter and get metadata
-        const allMetadata = loadMetadata();
-        const designIndex = allMetadata.findIndex(d => d.id === designId);
-        let designMetadata = null;
-
-        if (designIndex !== -1) {
-            allMetadata[designIndex].download_count += 1;
-            designMetadata = allMetadata[designIndex];
-            saveMetadata(allMetadata);
-        }
+        const kept = new Set(result.tags.map(entry => entry.tag));
+        const removed = loadTagVocabulary().map(entry => entry.tag).filter(tag => !kept.has(tag));
+        saveTagVocabulary(result.tags);
 
-        // Send metadata as JSON header (Base64-encoded for non-Latin character support)
-        if (designMetadata) {
-            const metadataJson = JSON.stringify({
-                designId: designId,
-                id: designId,
-                title: designMetadata.title,
-                description: designMetadata.description,
-                author_name: designMetadata.author_name,
-                level: designMetadata.level,
-                download_count: designMetadata.download_count,
-                upload_date: designMetadata.upload_date,
-                thumbnail_url: designMetadata.thumbnail_url,
-                christmas_event: designMetadata.christmas_event === true // Default to false if missing
-            });
-            // Base64 encode to support Chinese, Japanese, Korean, and other non-ASCII characters
-            const metadataBase64 = Buffer.from(metadataJson, 'utf8').toString('base64');
-            res.setHeader('X-Design-Metadata', metadataBase64);
+        let designsUpdated = 0;
+        for (const tag of removed) {
+            designsUpdated += designStore.removeTagEverywhere(tag);
         }
 
-        // Send binary file directly (no Base64 conversion)
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.setHeader('Content-Length', fs.statSync(designPath).size);
-
-        console.log(`Design downloaded (binary): ${designId} (${(fs.statSync(designPath).size / 1024).toFixed(0)}KB)`);
-
-        res.sendFile(designPath);
-
+        console.log(`Tag vocabulary updated — ${result.tags.length} tag(s), ${removed.length} removed from ${designsUpdated} design(s)`);
+        res.json({ ok: true, count: result.tags.length, tags: result.tags, removed, designs_updated: designsUpdated });
     } catch (error) {
-        console.error('Binary download error:', error);
+        console.error('Tags update error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get metadata for multiple designs by IDs (no save data download)
-app.post('/api/designs/metadata', requireApiKey, (req, res) => {
+// POST /api/admin/retag-design — body: { designId, tags: [...] }. Replaces a
+// design's tags; unlike uploads, unknown tags are an error.
+app.post('/api/admin/retag-design', requireAdmin, (req, res) => {
     try {
-        const { ids } = req.body;
-
-        if (!ids) {
-            return res.status(400).json({ error: 'Missing ids field in request body' });
+        const { designId, tags } = req.body;
+        if (!designId || !isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Valid designId is required' });
         }
 
-        if (!Array.isArray(ids)) {
-            return res.status(400).json({ error: 'ids field must be an array' });
+        const resolved = resolveDesignTags(tags, loadTagVocabulary());
+        if (!resolved.ok) {
+            return res.status(400).json({ error: resolved.error });
         }
-
-        if (ids.length === 0) {
-            return res.status(400).json({ error: 'Empty IDs array' });
+        if (resolved.unknown.length > 0) {
+            return res.status(400).json({ error: `unknown tags: ${resolved.unknown.join(', ')}` });
         }
 
-        if (ids.length > 100) {
-            return res.status(400).json({ error: 'Too many IDs (max 100)' });
+        let oldTags;
+        const design = designStore.update(designId, d => {
+            oldTags = d.tags || [];
+            d.tags = resolved.tags;
+        });
+        if (!design) {
+            return res.status(404).json({ error: 'Design not found' });
         }
 
-        console.log(`Metadata request for ${ids.length} design(s)`);
+        console.log(`ADMIN: Design ${designId} retagged [${oldTags.join(', ')}] -> [${design.tags.join(', ')}]`);
+        res.json({ success: true, designId, tags: { old: oldTags, new: design.tags } });
+    } catch (error) {
+        console.error('Retag error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Load all metadata
-        const allMetadata = loadMetadata();
+// ============================================================================
+// Events — see "Seasonal events" above for the store format and rules. The
+// game reads GET /api/events to show running events and their entry rules;
+// the admin replaces the list with POST /api/events/admin.
+// ============================================================================
 
-        // Filter to only the requested IDs
-        const requestedMetadata = allMetadata.filter(design => ids.includes(design.id));
+// Entries are the event's designs browse lists (see isListedDesign)
+function eventsWithEntryCounts() {
+    const counts = new Map();
+    for (const design of designStore.all().filter(isListedDesign)) {
+        const eventId = designEventId(design);
+        if (eventId) counts.set(eventId, (counts.get(eventId) || 0) + 1);
+    }
+    const now = Date.now();
+    return loadEvents().map(event => ({
+        ...event,
+        active: isEventActive(event, now),
+        entries: counts.get(event.id) || 0
+    }));
+}
 
-        // Return metadata in same format as browse endpoint
-        const designs = requestedMetadata.map(design => ({
-            id: design.id,
-            designId: design.id,
-            title: design.title,
-            description: design.description,
-            author_name: design.author_name,
-            level: design.level,
-            download_count: design.download_count,
-            upload_date: design.upload_date,
-            thumbnail_url: design.thumbnail_url,
-            christmas_event: design.christmas_event === true // Default to false if missing
-        }));
+// GET /api/events — returns { events: [{ id, name, starts_at, ends_at, rules, active, entries }] }
+app.get('/api/events', requireApiKey, (req, res) => {
+    try {
+        res.json({ events: eventsWithEntryCounts() });
+    } catch (error) {
+        console.error('Events fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        res.json({ designs });
+app.get('/api/events/admin', requireAdmin, (req, res) => {
+    try {
+        res.json({ events: eventsWithEntryCounts() });
+    } catch (error) {
+        console.error('Events admin fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
+// POST /api/events/admin — body: { events: [...] }. Replaces the whole list.
+// Designs keep their event_id even if their event is removed.
+app.post('/api/events/admin', requireAdmin, (req, res) => {
+    try {
+        const result = validateEvents(req.body?.events);
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error });
+        }
+        saveEvents(result.events);
+        console.log(`Event list updated — ${result.events.length} event(s)`);
+        res.json({ ok: true, count: result.events.length, events: result.events });
     } catch (error) {
-        console.error('Get metadata error:', error);
+        console.error('Events update error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // ============================================================================
-// Featured designs — remote-editable list of design IDs the game pulls on
-// startup to populate the Online Showcase / featured section without shipping
-// a game update. Stored as a JSON array of strings in storage/featured.json.
-// Player endpoint is GET (API-key gated); update is POST (admin-key gated).
+// Game version compatibility. Uploads record the game build that made them
+// (gameVersion, e.g. "1.4.2") and its save format (saveFormatVersion, an
+// integer). storage/game_versions.json is the compatibility matrix, one entry
+// per game version:
+//   { "version": "1.4", "save_format": 4, "loads": [3, 4] }
+// save_format is the format that build writes, loads the formats it can read.
+// An entry covers its version and every version under it ("1.4" covers
+// 1.4.2); the most specific entry wins. A design without saveFormatVersion
+// takes the save_format of its game version's entry. Browse and top take
+// ?clientVersion= and leave out designs that build can't load; designs or
+// clients the matrix doesn't know about are never left out (compatible: null).
 // ============================================================================
 
-// GET /api/featured — returns { ids: [...] }. Empty array if no file yet.
-app.get('/api/featured', requireApiKey, (req, res) => {
+const GAME_VERSION_REGEX = /^\d{1,5}(?:\.\d{1,5}){0,3}$/;
+const MAX_GAME_VERSIONS = 200;
+
+function loadGameVersions() {
+    const list = readJsonStore(GAME_VERSIONS_FILE, 'Game versions');
+    return Array.isArray(list) ? list : [];
+}
+
+function saveGameVersions(versions) {
+    writeJsonStore(GAME_VERSIONS_FILE, 'Game versions', versions);
+}
+
+function isValidGameVersion(version) {
+    return typeof version === 'string' && GAME_VERSION_REGEX.test(version);
+}
+
+function isValidSaveFormat(format) {
+    return Number.isInteger(format) && format > 0;
+}
+
+// The matrix entry for a game version, or null
+function gameVersionEntry(version, matrix) {
+    if (!isValidGameVersion(version)) return null;
+    let match = null;
+    for (const entry of matrix) {
+        const covers = version === entry.version || version.startsWith(`${entry.version}.`);
+        if (covers && (!match || entry.version.length > match.version.length)) match = entry;
+    }
+    return match;
+}
+
+// The save format a design was written in, or null if unknown
+function designSaveFormat(design, matrix) {
+    if (design.save_format_version) return design.save_format_version;
+    const entry = gameVersionEntry(design.game_version, matrix);
+    return entry ? entry.save_format : null;
+}
+
+// Parses a clientVersion parameter. Returns { ok: true, client } (client is
+// null when none was sent) or { ok: false, error }.
+function resolveClientVersion(version) {
+    if (version === undefined || version === null || version === '') return { ok: true, client: null };
+    if (!isValidGameVersion(version)) return { ok: false, error: 'clientVersion must look like 1.4.2' };
+    const matrix = loadGameVersions();
+    return { ok: true, client: { version, matrix, entry: gameVersionEntry(version, matrix) } };
+}
+
+// true / false if the client can / can't load the design, null if unknown
+function designCompatibility(design, client) {
+    const format = designSaveFormat(design, client.matrix);
+    if (!client.entry || format === null) return null;
+    return client.entry.loads.includes(format);
+}
+
+// Validate an incoming matrix (replaces the whole store)
+function validateGameVersions(list) {
+    if (!Array.isArray(list)) return { ok: false, error: 'versions must be an array' };
+    if (list.length > MAX_GAME_VERSIONS) return { ok: false, error: `too many versions (max ${MAX_GAME_VERSIONS})` };
+
+    const seen = new Set();
+    const cleaned = [];
+    for (const entry of list) {
+        const version = typeof entry?.version === 'string' ? entry.version.trim() : '';
+        if (!isValidGameVersion(version)) return { ok: false, error: `invalid version "${version}" (e.g. 1.4 or 1.4.2)` };
+        if (seen.has(version)) return { ok: false, error: `duplicate version "${version}"` };
+        seen.add(version);
+        if (!isValidSaveFormat(entry.save_format)) {
+            return { ok: false, error: `save_format of ${version} must be a positive integer` };
+        }
+        if (!Array.isArray(entry.loads) || !entry.loads.every(isValidSaveFormat)) {
+            return { ok: false, error: `loads of ${version} must be an array of positive integers` };
+        }
+        // A build can always load what it writes itself
+        const loads = [...new Set([...entry.loads, entry.save_format])].sort((a, b) => a - b);
+        cleaned.push({ version, save_format: entry.save_format, loads });
+    }
+    return { ok: true, versions: cleaned };
+}
+
+// GET /api/game-versions — returns { versions: [{ version, save_format, loads }] }
+app.get('/api/game-versions', requireApiKey, (req, res) => {
     try {
-        if (!fs.existsSync(FEATURED_FILE)) {
-            return res.json({ ids: [] });
-        }
-        const raw = fs.readFileSync(FEATURED_FILE, 'utf8');
-        const ids = JSON.parse(raw);
-        if (!Array.isArray(ids)) {
-            console.error('featured.json is not an array — returning empty list');
-            return res.json({ ids: [] });
-        }
-        res.json({ ids });
+        res.json({ versions: loadGameVersions() });
     } catch (error) {
-        console.error('Featured fetch error:', error);
+        console.error('Game versions fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// GET /api/featured/admin — admin-gated read of the same list (the public GET
-// is api-key gated, so the dashboard which uses admin auth needs its own read path).
-app.get('/api/featured/admin', requireAdmin, (req, res) => {
+app.get('/api/game-versions/admin', requireAdmin, (req, res) => {
     try {
-        if (!fs.existsSync(FEATURED_FILE)) {
-            return res.json({ ids: [] });
-        }
-        const raw = fs.readFileSync(FEATURED_FILE, 'utf8');
-        const ids = JSON.parse(raw);
-        res.json({ ids: Array.isArray(ids) ? ids : [] });
+        res.json({ versions: loadGameVersions() });
     } catch (error) {
-        console.error('Featured admin fetch error:', error);
+        console.error('Game versions admin fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// POST /api/featured/admin — body: { ids: ["...", "..."] }. Replaces the
-// entire featured list. Admin-key gated.
-app.post('/api/featured/admin', requireAdmin, (req, res) => {
+// POST /api/game-versions/admin — body: { versions: [...] }. Replaces the
+// whole matrix. Browse and top results change with it, so it bumps the
+// catalogue version, and delta sync gets every design again to re-check.
+app.post('/api/game-versions/admin', requireAdmin, (req, res) => {
     try {
-        const { ids } = req.body;
-        if (!Array.isArray(ids)) {
-            return res.status(400).json({ error: 'ids field must be an array of strings' });
-        }
-        if (ids.some(id => typeof id !== 'string')) {
-            return res.status(400).json({ error: 'all ids must be strings' });
-        }
-        if (ids.length > 200) {
-            return res.status(400).json({ error: 'too many ids (max 200)' });
+        const result = validateGameVersions(req.body?.versions);
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error });
         }
-        fs.writeFileSync(FEATURED_FILE, JSON.stringify(ids, null, 2), 'utf8');
-        console.log(`Featured list updated — ${ids.length} id(s)`);
-        res.json({ ok: true, count: ids.length });
+        saveGameVersions(result.versions);
+        designStore.bumpCatalogueVersion();
+        designStore.recordChangeForAllDesigns();
+        console.log(`Game version matrix updated — ${result.versions.length} version(s)`);
+        res.json({ ok: true, count: result.versions.length, versions: result.versions });
     } catch (error) {
-        console.error('Featured update error:', error);
+        console.error('Game versions update error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -1523,10 +5544,7 @@ function getClickSalt() {
 // One-way, daily-rotating visitor fingerprint. Not reversible to an IP, and not
 // linkable across days — enough to dedupe a double-click, nothing more.
 function visitorHash(req, slug) {
-    const forwarded = req.headers['x-forwarded-for'];
-    const ip = (typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : '')
-        || req.socket?.remoteAddress
-        || 'unknown';
+    const ip = clientIp(req);
     const day = new Date().toISOString().slice(0, 10);
     return crypto.createHash('sha256')
         .update(`${getClickSalt()}|${day}|${ip}|${slug}`)
@@ -1535,35 +5553,21 @@ function visitorHash(req, slug) {
 }
 
 function loadArtists() {
-    try {
-        const list = fs.readJsonSync(ARTISTS_FILE);
-        return Array.isArray(list) ? list : [];
-    } catch (error) {
-        console.error('Error loading artists:', error);
-        return [];
-    }
+    const list = readJsonStore(ARTISTS_FILE, 'Artists');
+    return Array.isArray(list) ? list : [];
 }
 
 function saveArtists(artists) {
-    fs.writeJsonSync(ARTISTS_FILE, artists, { spaces: 2 });
+    writeJsonStore(ARTISTS_FILE, 'Artists', artists);
 }
 
 function loadArtistClicks() {
-    try {
-        const list = fs.readJsonSync(ARTIST_CLICKS_FILE);
-        return Array.isArray(list) ? list : [];
-    } catch (error) {
-        console.error('Error loading artist clicks:', error);
-        return [];
-    }
+    const list = readJsonStore(ARTIST_CLICKS_FILE, 'Artist clicks');
+    return Array.isArray(list) ? list : [];
 }
 
 function saveArtistClicks(clicks) {
-    try {
-        fs.writeJsonSync(ARTIST_CLICKS_FILE, clicks, { spaces: 2 });
-    } catch (error) {
-        console.error('Error saving artist clicks:', error);
-    }
+    writeJsonStore(ARTIST_CLICKS_FILE, 'Artist clicks', clicks);
 }
 
 // Placement = which in-game screen the button was on. Kept to a strict charset
@@ -1672,7 +5676,7 @@ h1{font-size:20px;font-weight:600;margin:0 0 8px}p{color:#8b98a5;font-size:14px;
 <body><div><h1>This link is no longer available</h1>
 <p>The page you were heading to has moved or the collaboration has ended.</p></div></body></html>`;
 
-// Per-visitor limit on the redirect. Keyed off the forwarded IP rather than the
+// Per-visitor limit on the redirect. Keyed off the client IP rather than the
 // socket IP because on Railway every request arrives from the same proxy —
 // without this the limit would be shared by all players at once.
 const goLimiter = rateLimit({
@@ -1680,12 +5684,7 @@ const goLimiter = rateLimit({
     max: 60,
     standardHeaders: true,
     legacyHeaders: false,
-    keyGenerator: (req) => {
-        const forwarded = req.headers['x-forwarded-for'];
-        return (typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : '')
-            || req.socket?.remoteAddress
-            || 'unknown';
-    },
+    keyGenerator: clientIp,
     validate: { xForwardedForHeader: false },
     message: 'Too many requests'
 });
@@ -1851,7 +5850,38 @@ app.get('/api/artists/clicks', requireAdmin, (req, res) => {
     }
 });
 
-// Like/unlike design (increment/decrement download_count)
+// Likes are per player so one client can't inflate the count. The game sends
+// either its anonymous install ID (playerId, UUID) or a SteamID64 (steamId);
+// only a salted hash is ever stored, never the raw ID.
+const STEAM_ID_REGEX = /^\d{17}$/;
+function resolvePlayerHash(body) {
+    const { playerId, steamId } = body || {};
+    let identity = null;
+    if (typeof steamId === 'string' && STEAM_ID_REGEX.test(steamId)) {
+        identity = `steam:${steamId}`;
+    } else if (isValidUUID(playerId)) {
+        identity = `player:${playerId.toLowerCase().replace(/-/g, '')}`;
+    }
+    if (!identity) return null;
+    return crypto.createHash('sha256')
+        .update(`${getClickSalt()}|player|${identity}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+// Shipped game builds like with only { increment }. Those likes are counted
+// once per client IP (hashed like a player ID; see TRUST_PROXY_HOPS), so
+// players sharing a connection share one like. A client can still like once
+// from each address it has, but not by rewriting X-Forwarded-For.
+function resolveLegacyLikeHash(req) {
+    const ip = clientIp(req);
+    return crypto.createHash('sha256')
+        .update(`${getClickSalt()}|player|ip:${ip}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+// Like/unlike design (one like per player, tracked separately from download_count)
 app.post('/api/designs/:id/like', requireApiKey, (req, res) => {
     try {
         const designId = req.params.id;
@@ -1860,33 +5890,31 @@ app.post('/api/designs/:id/like', requireApiKey, (req, res) => {
         }
         const { increment } = req.body;
 
-        // Only allow +1 or -1 to prevent count manipulation
+        // +1 = like, -1 = unlike
         if (increment !== 1 && increment !== -1) {
             return res.status(400).json({ error: 'increment must be 1 or -1' });
         }
 
-        const allMetadata = loadMetadata();
-        const designIndex = allMetadata.findIndex(d => d.id === designId);
+        const playerHash = resolvePlayerHash(req.body) || resolveLegacyLikeHash(req);
 
-        if (designIndex === -1) {
+        if (!getVisibleDesign(designId, req)) {
             return res.status(404).json({ error: 'Design not found' });
         }
 
-        // Update download_count (like counter)
-        allMetadata[designIndex].download_count += increment;
-
-        // Prevent negative counts
-        if (allMetadata[designIndex].download_count < 0) {
-            allMetadata[designIndex].download_count = 0;
+        // Repeat likes/unlikes are no-ops, so a retrying client can't drift the count
+        const result = designStore.setLike(designId, playerHash, increment === 1);
+        if (!result) {
+            return res.status(404).json({ error: 'Design not found' });
         }
+        const { design, changed } = result;
 
-        saveMetadata(allMetadata);
-
-        console.log(`Design ${designId} like updated: ${increment > 0 ? '+1' : '-1'} (new count: ${allMetadata[designIndex].download_count})`);
+        console.log(`Design ${designId} like ${increment > 0 ? 'added' : 'removed'}${changed ? '' : ' (no change)'} (likes: ${design.like_count || 0})`);
 
         res.json({
             success: true,
-            download_count: allMetadata[designIndex].download_count
+            liked: increment === 1,
+            like_count: design.like_count || 0,
+            download_count: design.download_count
         });
 
     } catch (error) {
@@ -1895,6 +5923,64 @@ app.post('/api/designs/:id/like', requireApiKey, (req, res) => {
     }
 });
 
+// Player reports
+const REPORT_REASONS = ['inappropriate', 'offensive_text', 'spam', 'broken', 'copyright', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 500;
+// Different players with open reports before a design is hidden from browse
+const REPORT_HIDE_THRESHOLD = Math.max(1, parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3);
+// Reports one player may file per rolling 24 hours
+const REPORTS_PER_PLAYER_PER_DAY = Math.max(1, parseInt(process.env.REPORTS_PER_PLAYER_PER_DAY, 10) || 10);
+
+// Report a design — body: { reason, details?, playerId | steamId }
+app.post('/api/designs/:id/report', requireApiKey, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+        const { reason, details } = req.body;
+
+        if (!REPORT_REASONS.includes(reason)) {
+            return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+        }
+        if (details !== undefined && (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH)) {
+            return res.status(400).json({ error: `details must be a string under ${MAX_REPORT_DETAILS_LENGTH} characters` });
+        }
+
+        const playerHash = resolvePlayerHash(req.body);
+        if (!playerHash) {
+            return res.status(400).json({ error: 'playerId (UUID) or steamId is required' });
+        }
+
+        if (!getVisibleDesign(designId, req)) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        if (designStore.reportsByPlayerSince(playerHash, since) >= REPORTS_PER_PLAYER_PER_DAY) {
+            return res.status(429).json({ error: 'Too many reports, try again later' });
+        }
+
+        // Repeat reports of the same design are no-ops, so a retrying client
+        // (or a player mashing the button) can't push a design over the threshold
+        const result = designStore.addReport(designId, playerHash, reason, details || '', REPORT_HIDE_THRESHOLD);
+        if (!result) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        console.log(`Design ${designId} reported (${reason})${result.duplicate ? ' (repeat, ignored)' : ''} — ${result.openReporters} open report(s)`);
+        if (result.autoHidden) {
+            console.warn(`Design ${designId} hidden from browse: ${result.openReporters} players reported it`);
+        }
+
+        res.json({ success: true, duplicate: result.duplicate });
+
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Serve thumbnails
 app.get('/api/thumbnails/:filename', requireApiKey, (req, res) => {
     try {
@@ -1907,11 +5993,19 @@ app.get('/api/thumbnails/:filename', requireApiKey, (req, res) => {
             return res.status(400).json({ error: 'Invalid filename' });
         }
 
-        if (fs.existsSync(thumbnailPath)) {
-            res.sendFile(thumbnailPath);
-        } else {
-            res.status(404).json({ error: 'Thumbnail not found' });
+        // Thumbnails of designs players can't see are gone too
+        const designId = filename.split('.')[0];
+        const design = isValidUUID(designId) ? designStore.get(designId) : null;
+        if (design && !getVisibleDesign(designId, req)) {
+            return res.status(404).json({ error: 'Thumbnail not found' });
         }
+
+        // thumbnail_url carries ?v=<revision> and a new thumbnail means a new
+        // revision, so those requests may be cached for good. Bare URLs
+        // (designs stored before) are reused by re-uploads.
+        let cacheControl = req.query.v ? 'public, max-age=31536000, immutable' : 'public, max-age=3600';
+        if (design && !isVisibleToPlayers(design)) cacheControl = 'private, no-store'; // Admin viewing a hidden design
+        sendThumbnail(req, res, design ? designId : null, thumbnailPath, cacheControl);
     } catch (error) {
         console.error('Thumbnail error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -1949,7 +6043,8 @@ app.post('/api/test/compress', (req, res, next) => {
         const testPath = path.join(THUMBNAILS_DIR, testFilename);
         
         // Test compression
-        const compressedPath = await compressAndSaveThumbnail(imageData, testPath);
+        const compressed = await compressAndSaveThumbnail(imageData, testPath);
+        const compressedPath = compressed && compressed.path;
         
         if (compressedPath) {
             const originalSize = Buffer.from(imageData, 'base64').length;
@@ -2025,7 +6120,8 @@ app.post('/api/admin/compress-existing', requireAdmin, async (req, res) => {
                 const base64Data = fileBuffer.toString('base64');
                 
                 // Compress
-                const compressedPath = await compressAndSaveThumbnail(base64Data, originalPath);
+                const compressed = await compressAndSaveThumbnail(base64Data, originalPath);
+                const compressedPath = compressed && compressed.path;
                 
                 if (compressedPath) {
                     const compressedSize = fs.statSync(compressedPath).size;
@@ -2164,84 +6260,257 @@ app.post('/api/admin/compress-inplace', requireAdmin, async (req, res) => {
                 note: "Files compressed in-place, keeping .png extensions for game compatibility"
             }
         });
-        
+        
+    } catch (error) {
+        console.error('In-place compression error:', error);
+        res.status(500).json({ error: 'In-place compression failed', message: error.message });
+    }
+});
+
+// Restore from backup
+app.post('/api/admin/restore-backup', requireAdmin, async (req, res) => {
+    try {
+        const BACKUP_DIR = path.join(STORAGE_DIR, 'thumbnails-backup');
+        
+        if (!fs.existsSync(BACKUP_DIR)) {
+            return res.status(404).json({ error: 'No backup found' });
+        }
+        
+        const backupFiles = fs.readdirSync(BACKUP_DIR);
+        let restored = 0;
+        
+        for (const filename of backupFiles) {
+            const backupPath = path.join(BACKUP_DIR, filename);
+            const originalPath = path.join(THUMBNAILS_DIR, filename);
+            
+            fs.copyFileSync(backupPath, originalPath);
+            restored++;
+        }
+        
+        console.log(`Restored ${restored} files from backup`);
+        
+        res.json({
+            success: true,
+            message: `Restored ${restored} thumbnails from backup`,
+            restored: restored
+        });
+        
+    } catch (error) {
+        console.error('Restore backup error:', error);
+        res.status(500).json({ error: 'Restore failed', message: error.message });
+    }
+});
+
+// Delete specific design by ID (admin auth required)
+// Soft delete: the design is gone for players at once and purged after
+// DESIGN_RETENTION_DAYS. `?purge=1` removes it permanently right away.
+app.delete('/api/designs/:id', requireAdmin, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+
+        if (req.query.purge === '1' || req.query.purge === 'true') {
+            // Deleted by a moderator first, so its thumbnail stays blocked
+            softDeleteDesign(designId, 'admin');
+            if (!purgeDesign(designId)) {
+                return res.status(404).json({ error: 'Design not found' });
+            }
+            console.log(`Design purged: ${designId}`);
+            return res.json({
+                success: true,
+                message: `Design ${designId} permanently deleted`,
+                deleted_id: designId,
+                purged: true
+            });
+        }
+
+        const design = softDeleteDesign(designId, 'admin');
+        if (!design) {
+            // A save file with no metadata record has nothing to restore, so
+            // it is removed right away (with any thumbnail) as it always was
+            if (!purgeDesign(designId)) {
+                return res.status(404).json({ error: 'Design not found' });
+            }
+            console.log(`Orphan design files deleted: ${designId}`);
+            return res.json({
+                success: true,
+                message: `Design ${designId} deleted successfully`,
+                deleted_id: designId,
+                purged: true
+            });
+        }
+        
+        console.log(`Design deleted: ${designId} (purged in ${DESIGN_RETENTION_DAYS} day(s))`);
+        res.json({ 
+            success: true, 
+            message: `Design ${designId} deleted successfully`,
+            deleted_id: designId,
+            purged: false,
+            purge_after: designPurgeDate(design)
+        });
+        
+    } catch (error) {
+        console.error('Delete error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete your own design — body/header carries the owner token or the
+// playerId/steamId the design was uploaded with
+app.delete('/api/designs/:id/mine', requireApiKey, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+
+        const design = designStore.get(designId);
+        if (!design || design.deleted_at) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+        // Unclaimed (pre-ownership) designs can only be removed by an admin
+        if (!isDesignClaimed(design) || !isDesignOwner(design, req)) {
+            return res.status(403).json({ error: 'Not the owner of this design' });
+        }
+
+        // Uploading the design again before the purge brings it back
+        const deleted = softDeleteDesign(designId, 'owner');
+        if (!deleted) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        console.log(`Design deleted by its author: ${designId}`);
+        res.json({
+            success: true,
+            message: `Design ${designId} deleted successfully`,
+            deleted_id: designId,
+            purge_after: designPurgeDate(deleted)
+        });
+
     } catch (error) {
-        console.error('In-place compression error:', error);
-        res.status(500).json({ error: 'In-place compression failed', message: error.message });
+        console.error('Delete own design error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Restore from backup
-app.post('/api/admin/restore-backup', requireAdmin, async (req, res) => {
+// Set a design's visibility — body: { designId, visibility, reason? }
+app.post('/api/admin/set-visibility', requireAdmin, (req, res) => {
     try {
-        const BACKUP_DIR = path.join(STORAGE_DIR, 'thumbnails-backup');
-        
-        if (!fs.existsSync(BACKUP_DIR)) {
-            return res.status(404).json({ error: 'No backup found' });
+        const { designId, visibility, reason } = req.body;
+        if (!designId || !isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Valid designId (UUID) required' });
         }
-        
-        const backupFiles = fs.readdirSync(BACKUP_DIR);
-        let restored = 0;
-        
-        for (const filename of backupFiles) {
-            const backupPath = path.join(BACKUP_DIR, filename);
-            const originalPath = path.join(THUMBNAILS_DIR, filename);
-            
-            fs.copyFileSync(backupPath, originalPath);
-            restored++;
+        if (!DESIGN_VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ error: `visibility must be one of: ${DESIGN_VISIBILITIES.join(', ')}` });
         }
-        
-        console.log(`Restored ${restored} files from backup`);
-        
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+            return res.status(400).json({ error: 'reason must be a string under 200 characters' });
+        }
+
+        const design = designStore.update(designId, d => setDesignVisibility(d, visibility, reason || 'moderator'));
+        if (!design) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+
+        console.log(`ADMIN: Design ${designId} visibility set to ${visibility}${reason ? ` (${reason})` : ''}`);
         res.json({
             success: true,
-            message: `Restored ${restored} thumbnails from backup`,
-            restored: restored
+            design_id: designId,
+            visibility: design.visibility,
+            visibility_reason: design.visibility_reason
         });
-        
+
     } catch (error) {
-        console.error('Restore backup error:', error);
-        res.status(500).json({ error: 'Restore failed', message: error.message });
+        console.error('Set visibility error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete specific design by ID (admin auth required)
-app.delete('/api/designs/:id', requireAdmin, (req, res) => {
+// Assign a design's owner — body: { designId, playerId | steamId? }. For
+// designs uploaded before ownership existed (or a player who lost their
+// token): issues a new owner token, replacing any previous one, and binds the
+// design to the player ID if one is given. The token is returned once, for
+// the moderator to pass on.
+app.post('/api/admin/assign-owner', requireAdmin, (req, res) => {
     try {
-        const designId = req.params.id;
-        if (!isValidUUID(designId)) {
-            return res.status(400).json({ error: 'Invalid design ID format' });
+        const { designId, playerId, steamId } = req.body;
+        if (!designId || !isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Valid designId (UUID) required' });
+        }
+        const playerHash = resolvePlayerHash(req.body);
+        if ((playerId !== undefined || steamId !== undefined) && !playerHash) {
+            return res.status(400).json({ error: 'playerId must be a UUID and steamId a SteamID64' });
         }
-        const designPath = path.join(DESIGNS_DIR, `${designId}.sav`);
-        const thumbnailPath = path.join(THUMBNAILS_DIR, `${designId}.png`);
 
-        // Check if design exists
-        if (!fs.existsSync(designPath)) {
+        const ownerToken = crypto.randomBytes(24).toString('base64url');
+        const design = designStore.update(designId, d => {
+            d.owner_token_hash = hashOwnerToken(ownerToken);
+            if (playerHash) d.owner_player = playerHash;
+            else delete d.owner_player;
+        });
+        if (!design) {
             return res.status(404).json({ error: 'Design not found' });
         }
 
-        // Remove design file
-        fs.removeSync(designPath);
-        
-        // Remove thumbnail if it exists
-        if (fs.existsSync(thumbnailPath)) {
-            fs.removeSync(thumbnailPath);
-        }
-        
-        // Remove from metadata
-        const allMetadata = loadMetadata();
-        const filteredMetadata = allMetadata.filter(d => d.id !== designId);
-        saveMetadata(filteredMetadata);
-        
-        console.log(`Design deleted: ${designId}`);
-        res.json({ 
-            success: true, 
-            message: `Design ${designId} deleted successfully`,
-            deleted_id: designId
+        console.log(`ADMIN: Owner assigned to design ${designId}${playerHash ? ' (bound to a player ID)' : ''}`);
+        res.json({
+            success: true,
+            design_id: designId,
+            owner_token: ownerToken,
+            owner_player_bound: !!playerHash
         });
-        
+
     } catch (error) {
-        console.error('Delete error:', error);
+        console.error('Assign owner error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Soft-deleted designs waiting to be purged, most recently deleted first
+app.get('/api/admin/deleted-designs', requireAdmin, (req, res) => {
+    try {
+        const designs = designStore.all()
+            .filter(design => design.deleted_at)
+            .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at))
+            .map(design => ({
+                id: design.id,
+                title: design.title,
+                author_name: design.author_name,
+                visibility: designVisibility(design),
+                deleted_at: design.deleted_at,
+                deleted_by: design.deleted_by || 'admin',
+                purge_after: designPurgeDate(design)
+            }));
+
+        res.json({ designs, retention_days: DESIGN_RETENTION_DAYS });
+
+    } catch (error) {
+        console.error('List deleted designs error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Undo a soft delete — body: { designId }
+app.post('/api/admin/restore-design', requireAdmin, (req, res) => {
+    try {
+        const { designId } = req.body;
+        if (!designId || !isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Valid designId (UUID) required' });
+        }
+
+        const design = designStore.get(designId);
+        if (!design || !design.deleted_at) {
+            return res.status(404).json({ error: 'No deleted design with that ID' });
+        }
+
+        restoreDesign(designId);
+        console.log(`ADMIN: Design ${designId} restored`);
+        res.json({ success: true, design_id: designId, visibility: designVisibility(design) });
+
+    } catch (error) {
+        console.error('Restore design error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -2255,45 +6524,538 @@ app.post('/api/admin/update-design-text', requireAdmin, (req, res) => {
             return res.status(400).json({ error: 'designId is required' });
         }
 
-        const allMetadata = loadMetadata();
-        const designIndex = allMetadata.findIndex(d => d.id === designId);
+        let oldTitle;
+        let oldAuthor;
+        const design = designStore.update(designId, d => {
+            oldTitle = d.title;
+            oldAuthor = d.author_name;
+
+            // Update fields if provided
+            if (title !== undefined) {
+                d.title = title;
+            }
+            if (authorName !== undefined) {
+                d.author_name = authorName;
+            }
+        });
 
-        if (designIndex === -1) {
+        if (!design) {
             return res.status(404).json({ error: 'Design not found' });
         }
 
-        const oldTitle = allMetadata[designIndex].title;
-        const oldAuthor = allMetadata[designIndex].author_name;
+        res.json({
+            success: true,
+            designId: designId,
+            changes: {
+                title: { old: oldTitle, new: design.title },
+                author: { old: oldAuthor, new: design.author_name }
+            }
+        });
+
+    } catch (error) {
+        console.error('Manual update error:', error);
+        res.status(500).json({ error: 'Update failed', message: error.message });
+    }
+});
 
-        // Update fields if provided
-        if (title !== undefined) {
-            allMetadata[designIndex].title = title;
+// Roll a design back to an earlier revision (vandalism, broken save). The
+// old revision's files and text become current again, recorded as a new
+// revision so the rollback itself can be undone.
+app.post('/api/admin/rollback-design', requireAdmin, async (req, res) => {
+    try {
+        const { designId, revision } = req.body;
+
+        if (!designId || !isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Valid designId is required' });
         }
-        if (authorName !== undefined) {
-            allMetadata[designIndex].author_name = authorName;
+        if (!Number.isInteger(revision) || revision < 1) {
+            return res.status(400).json({ error: 'revision must be a positive integer' });
         }
 
-        saveMetadata(allMetadata);
+        const design = designStore.get(designId);
+        if (!design) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+        const target = designStore.getRevision(designId, revision);
+        const targetSavePath = revisionFilePath(designId, revision, 'sav');
+        if (!target || !fs.existsSync(targetSavePath)) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        fs.copySync(targetSavePath, path.join(DESIGNS_DIR, `${designId}.sav`));
+        const saveInfo = await inspectStoredSave(path.join(DESIGNS_DIR, `${designId}.sav`));
+        queueSaveCompression(designId);
+        let hasThumbnail = false;
+        let thumbnailPhash = null;
+        const targetThumbnailPath = revisionFilePath(designId, revision, 'png');
+        if (target.has_thumbnail && fs.existsSync(targetThumbnailPath)) {
+            fs.copySync(targetThumbnailPath, path.join(THUMBNAILS_DIR, `${designId}.png`));
+            hasThumbnail = true;
+            thumbnailPhash = await thumbnailPerceptualHash(fs.readFileSync(targetThumbnailPath));
+            queueThumbnailRenditions(designId);
+        } else {
+            // The revision had no thumbnail, so neither does the design now
+            // (the one being rolled back may be the vandalism)
+            fs.removeSync(path.join(THUMBNAILS_DIR, `${designId}.png`));
+            removeThumbnailRenditions(designId);
+        }
+
+        // The rollback is a new upload as far as browse is concerned: the
+        // design and its newest revision share the rollback's date
+        const uploadDate = new Date().toISOString();
+        const newRevision = recordDesignRevision(designId, {
+            ...target,
+            upload_date: uploadDate,
+            save_sha256: saveInfo.save_sha256,
+            rolled_back_from: revision
+        });
+        const updated = designStore.update(designId, d => {
+            d.title = target.title;
+            d.description = target.description;
+            d.author_name = target.author_name;
+            d.level = target.level;
+            d.event_id = designEventId(target);
+            delete d.christmas_event;
+            d.upload_date = uploadDate;
+            d.thumbnail_url = hasThumbnail ? versionedThumbnailUrl(designId, newRevision) : null;
+            d.thumbnail_phash = thumbnailPhash;
+            Object.assign(d, saveInfo);
+            d.game_version = target.game_version || null;
+            d.save_format_version = target.save_format_version || null;
+            d.revision = newRevision;
+        });
 
+        console.log(`ADMIN: Design ${designId} rolled back to revision ${revision} (now revision ${newRevision})`);
         res.json({
             success: true,
             designId: designId,
-            changes: {
-                title: { old: oldTitle, new: allMetadata[designIndex].title },
-                author: { old: oldAuthor, new: allMetadata[designIndex].author_name }
+            restored_revision: revision,
+            revision: newRevision,
+            design: toPublicDesign(updated)
+        });
+
+    } catch (error) {
+        console.error('Rollback error:', error);
+        res.status(500).json({ error: 'Rollback failed', message: error.message });
+    }
+});
+
+// Moderation queue — reports grouped by design, designs with the most open
+// reports first. ?status=resolved lists already handled reports instead.
+app.get('/api/admin/reports', requireAdmin, (req, res) => {
+    try {
+        const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+        const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+        const reports = designStore.reportsByStatus(status, limit);
+
+        const groups = new Map();
+        for (const report of reports) {
+            let group = groups.get(report.design_id);
+            if (!group) {
+                group = { design_id: report.design_id, reports: [], reasons: {} };
+                groups.set(report.design_id, group);
+            }
+            const { design_id, ...entry } = report;
+            group.reports.push(entry);
+            group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+        }
+
+        const designs = designStore.getMany([...groups.keys()]);
+        const queue = designs.map(design => {
+            const group = groups.get(design.id);
+            return {
+                design: {
+                    ...toPublicDesign(design),
+                    visibility_reason: design.visibility_reason || null,
+                    deleted_at: design.deleted_at || null
+                },
+                report_count: group.reports.length,
+                reasons: group.reasons,
+                last_reported: group.reports[0].date,
+                reports: group.reports
+            };
+        }).sort((a, b) => b.report_count - a.report_count || b.last_reported.localeCompare(a.last_reported));
+
+        res.json({ status, designs: queue, hide_threshold: REPORT_HIDE_THRESHOLD });
+
+    } catch (error) {
+        console.error('Reports fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Act on a reported design — body: { designId, action: approve | hide | delete }.
+// approve: visible again, open reports closed. hide: hidden until approved,
+// open reports closed. delete: soft-deleted (purged after the retention
+// period), open reports closed.
+app.post('/api/admin/reports/resolve', requireAdmin, (req, res) => {
+    try {
+        const { designId, action } = req.body;
+        if (!designId || !isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Valid designId is required' });
+        }
+        if (!['approve', 'hide', 'delete'].includes(action)) {
+            return res.status(400).json({ error: 'action must be approve, hide or delete' });
+        }
+
+        const design = action === 'delete'
+            ? softDeleteDesign(designId, 'admin')
+            : designStore.update(designId, d => {
+                if (action === 'hide') {
+                    setDesignVisibility(d, 'hidden', 'moderator');
+                } else if (!PLAYER_VISIBILITIES.includes(designVisibility(d))) {
+                    setDesignVisibility(d, 'public', null); // An unlisted design stays unlisted
+                }
+            });
+        if (!design) {
+            return res.status(404).json({ error: 'Design not found' });
+        }
+        const resolution = { approve: 'approved', hide: 'hidden', delete: 'deleted' }[action];
+        const resolved = designStore.resolveReports(designId, resolution);
+
+        console.log(`ADMIN: Reported design ${designId} ${resolution} (${resolved} report(s) closed)`);
+        res.json({ success: true, designId, action, reports_resolved: resolved });
+
+    } catch (error) {
+        console.error('Report resolve error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Build missing thumbnail renditions in the background ({"force": true}
+// rebuilds every one, e.g. after THUMBNAIL_SIZES changes)
+app.post('/api/admin/thumbnails/renditions', requireAdmin, (req, res) => {
+    if (!sharp) {
+        return res.status(500).json({ error: 'Sharp not available for renditions' });
+    }
+    if (thumbnailBackfillRunning) {
+        return res.status(409).json({ error: 'Rendition backfill already running' });
+    }
+    const force = !!(req.body && req.body.force);
+    backfillThumbnailRenditions({ force }).catch(error => console.error('Thumbnail rendition backfill error:', error));
+    console.log(`ADMIN: Thumbnail rendition backfill started${force ? ' (rebuilding all)' : ''}`);
+    res.status(202).json({ success: true, started: true, force });
+});
+
+// Thumbnail for the dashboard, which has the admin key but not the game's API key
+app.get('/api/admin/thumbnails/:id', requireAdmin, (req, res) => {
+    try {
+        const designId = req.params.id;
+        if (!isValidUUID(designId)) {
+            return res.status(400).json({ error: 'Invalid design ID format' });
+        }
+        sendThumbnail(req, res, designId, path.join(THUMBNAILS_DIR, `${designId}.png`), 'private, no-cache');
+    } catch (error) {
+        console.error('Admin thumbnail error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/admin/text-moderation — the wordlist provider's { words, patterns }
+app.get('/api/admin/text-moderation', requireAdmin, (req, res) => {
+    try {
+        res.json({ ...loadTextModerationList(), providers: activeTextModerationProviders() });
+    } catch (error) {
+        console.error('Text moderation fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/admin/text-moderation — body: { words: [...], patterns: [...] }.
+// Replaces the whole list; applies to uploads from now on.
+app.post('/api/admin/text-moderation', requireAdmin, (req, res) => {
+    try {
+        const result = validateTextModerationList(req.body);
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error });
+        }
+        saveTextModerationList(result.list);
+        console.log(`Text moderation list updated — ${result.list.words.length} word(s), ${result.list.patterns.length} pattern(s)`);
+        res.json({ ok: true, words: result.list.words.length, patterns: result.list.patterns.length });
+    } catch (error) {
+        console.error('Text moderation update error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/admin/text-moderation/check — body: { title?, description?, authorName? }.
+// Runs the active providers without uploading anything, to try out the list.
+app.post('/api/admin/text-moderation/check', requireAdmin, async (req, res) => {
+    try {
+        const { title, description, authorName } = req.body;
+        const fields = { title, description, author_name: authorName };
+        for (const field of MODERATED_TEXT_FIELDS) {
+            if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+                return res.status(400).json({ error: `${field} must be a string` });
+            }
+        }
+        res.json(await moderateText(fields));
+    } catch (error) {
+        console.error('Text moderation check error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Designs waiting for background image moderation, oldest first
+app.get('/api/admin/moderation/queue', requireAdmin, (req, res) => {
+    try {
+        const queue = designStore.moderationQueue().map(job => {
+            const design = designStore.get(job.design_id);
+            return {
+                ...job,
+                title: design ? design.title : null,
+                author_name: design ? design.author_name : null
+            };
+        });
+        res.json({ queue, total: queue.length, worker_running: moderationWorkerRunning });
+    } catch (error) {
+        console.error('Moderation queue fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/admin/moderation/duplicates?distance=6 — clusters of designs
+// whose thumbnails are near-duplicates of each other (see "Perceptual
+// thumbnail hashes"), largest first. Deleted designs are included until
+// purged. distance defaults to the upload block threshold.
+app.get('/api/admin/moderation/duplicates', requireAdmin, (req, res) => {
+    try {
+        const maxDistance = req.query.distance === undefined ? THUMBNAIL_DUPLICATE_DISTANCE : parseInt(req.query.distance, 10);
+        if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > 16) {
+            return res.status(400).json({ error: 'distance must be an integer from 0 to 16' });
+        }
+        const designs = designStore.all().filter(d => isComparableHash(d.thumbnail_phash));
+
+        // Union-find over every near-duplicate pair
+        const parent = designs.map((_, i) => i);
+        const root = i => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        for (let i = 0; i < designs.length; i++) {
+            for (let j = i + 1; j < designs.length; j++) {
+                if (perceptualHashDistance(designs[i].thumbnail_phash, designs[j].thumbnail_phash) <= maxDistance) {
+                    parent[root(j)] = root(i);
+                }
             }
+        }
+
+        const groups = new Map();
+        designs.forEach((design, i) => {
+            const key = root(i);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(design);
         });
+        const clusters = [...groups.values()]
+            .filter(group => group.length > 1)
+            .map(group => ({
+                size: group.length,
+                uploaders: new Set(group.map(d => d.owner_player || d.id)).size, // Designs with no player ID count once each
+                designs: group
+                    .sort((a, b) => (a.upload_date || '').localeCompare(b.upload_date || ''))
+                    .map(d => ({
+                        id: d.id,
+                        title: d.title,
+                        author_name: d.author_name,
+                        upload_date: d.upload_date,
+                        download_count: d.download_count || 0,
+                        visibility: designVisibility(d),
+                        deleted_at: d.deleted_at || null,
+                        phash: d.thumbnail_phash
+                    }))
+            }))
+            .sort((a, b) => b.size - a.size);
 
+        res.json({ clusters, total: clusters.length, distance: maxDistance });
     } catch (error) {
-        console.error('Manual update error:', error);
-        res.status(500).json({ error: 'Update failed', message: error.message });
+        console.error('Duplicate clusters error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// A design quarantined by the background worker (a "held" rejection) that no
+// moderator has acted on yet
+function heldDesignAwaitingReview(entry) {
+    if (!entry.held || entry.review) return null;
+    const design = designStore.get(entry.design_id);
+    if (!design || design.deleted_at) return null;
+    if (designVisibility(design) !== 'quarantined' || design.visibility_reason !== 'image_moderation') return null;
+    return design;
+}
+
+const REJECTIONS_DEFAULT_PAGE_SIZE = 20;
+const REJECTIONS_MAX_PAGE_SIZE = 100;
+
+// GET /api/admin/moderation/rejections?page=0&pageSize=20&type=image|text —
+// rejected uploads, newest first, with their per-tile scores
+app.get('/api/admin/moderation/rejections', requireAdmin, (req, res) => {
+    try {
+        const page = Math.max(0, parseInt(req.query.page, 10) || 0);
+        const pageSize = Math.min(Math.max(1, parseInt(req.query.pageSize, 10) || REJECTIONS_DEFAULT_PAGE_SIZE), REJECTIONS_MAX_PAGE_SIZE);
+        const type = req.query.type;
+        if (type !== undefined && type !== 'image' && type !== 'text') {
+            return res.status(400).json({ error: 'type must be image or text' });
+        }
+
+        const log = readJsonStore(MODERATION_LOG_FILE, 'Moderation log')
+            .filter(entry => !type || (entry.type || 'image') === type) // Entries from before text moderation are all image rejections
+            .reverse();
+        const rejections = log.slice(page * pageSize, (page + 1) * pageSize).map(entry => {
+            const quarantined = !!entry.quarantined && !!entry.id && fs.existsSync(quarantineFilePath(entry.id));
+            return {
+                ...entry,
+                type: entry.type || 'image',
+                quarantined,
+                // Publish/dismiss available
+                reviewable: !!entry.id && (quarantined || !!heldDesignAwaitingReview(entry))
+            };
+        });
+
+        res.json({
+            rejections,
+            total: log.length,
+            page,
+            pageSize,
+            severity_threshold: MODERATION_SEVERITY_THRESHOLD,
+            quarantine_enabled: !!QUARANTINE_KEY
+        });
+    } catch (error) {
+        console.error('Rejections fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Quarantined thumbnail of a rejected upload (decrypted)
+app.get('/api/admin/moderation/rejections/:id/thumbnail', requireAdmin, (req, res) => {
+    try {
+        if (!isValidUUID(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid rejection ID format' });
+        }
+        const upload = readQuarantinedUpload(req.params.id);
+        if (!upload || !upload.thumbnail) {
+            return res.status(404).json({ error: 'No quarantined thumbnail' });
+        }
+        const image = Buffer.from(upload.thumbnail.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+        res.setHeader('Content-Type', sniffImageType(image));
+        res.setHeader('Cache-Control', 'no-store');
+        res.send(image);
+    } catch (error) {
+        console.error('Quarantined thumbnail error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Publishes a design the background worker quarantined: restores its
+// visibility and, if the quarantine still holds the thumbnail of the current
+// revision, the thumbnail too
+async function releaseHeldDesign(entry, upload) {
+    const design = heldDesignAwaitingReview(entry);
+    if (!design) return null;
+
+    const restoreThumbnail = !!(upload && upload.thumbnail && upload.revision === design.revision);
+    if (restoreThumbnail) {
+        const image = Buffer.from(upload.thumbnail, 'base64');
+        fs.writeFileSync(path.join(THUMBNAILS_DIR, `${design.id}.png`), image);
+        if (design.revision) fs.writeFileSync(revisionFilePath(design.id, design.revision, 'png'), image);
+        queueThumbnailRenditions(design.id);
+    }
+    return designStore.update(design.id, d => {
+        setDesignVisibility(d, entry.previous_visibility || 'public', null);
+        if (restoreThumbnail) d.thumbnail_url = upload.thumbnailUrl || versionedThumbnailUrl(design.id, design.revision);
+    });
+}
+
+// Override a false positive: publish the quarantined upload as if it had
+// passed moderation. A new design can't be published once its id is taken.
+// For a held rejection the stored design is released instead.
+app.post('/api/admin/moderation/rejections/:id/publish', requireAdmin, async (req, res) => {
+    try {
+        const rejectionId = req.params.id;
+        if (!isValidUUID(rejectionId)) {
+            return res.status(400).json({ error: 'Invalid rejection ID format' });
+        }
+        const entry = readJsonStore(MODERATION_LOG_FILE, 'Moderation log').find(e => e.id === rejectionId);
+        if (entry && entry.held) {
+            const upload = readQuarantinedUpload(rejectionId);
+            const design = await releaseHeldDesign(entry, upload);
+            if (!design) {
+                return res.status(404).json({ error: 'No held design awaiting review for this rejection' });
+            }
+            removeQuarantinedUpload(rejectionId);
+            updateModerationRejection(rejectionId, e => {
+                e.review = { action: 'published', at: new Date().toISOString(), design_id: design.id, revision: design.revision };
+            });
+
+            console.log(`ADMIN: Held design ${design.id} published (moderation overridden, rejection ${rejectionId})`);
+            return res.json({ success: true, design_id: design.id, revision: design.revision, updated: false, thumbnail_restored: !!design.thumbnail_url });
+        }
+
+        const upload = readQuarantinedUpload(rejectionId);
+        if (!upload) {
+            return res.status(404).json({ error: 'No quarantined upload for this rejection' });
+        }
+        if (!upload.wasUpdate && designStore.get(upload.designId)) {
+            return res.status(409).json({ error: 'A design with this ID was uploaded since; publishing would overwrite it' });
+        }
+        if (upload.wasUpdate && designStore.get(upload.designId)?.deleted_by === 'admin') {
+            return res.status(409).json({ error: 'This design was removed by a moderator since; restore it before publishing the update' });
+        }
+
+        const stored = await storeDesignUpload(upload, { issueOwnerToken: false });
+        if (!stored.ok) {
+            return res.status(500).json({ error: stored.error });
+        }
+        removeQuarantinedUpload(rejectionId);
+        updateModerationRejection(rejectionId, entry => {
+            entry.review = { action: 'published', at: new Date().toISOString(), design_id: upload.designId, revision: stored.revision };
+        });
+
+        console.log(`ADMIN: Rejected upload ${rejectionId} published as design ${upload.designId} (moderation overridden)`);
+        res.json({ success: true, design_id: upload.designId, revision: stored.revision, updated: !!stored.existingDesign });
+    } catch (error) {
+        console.error('Rejection publish error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Uphold a rejection: the quarantined upload is deleted, the log entry kept.
+// A held design still in quarantine is deleted too (restorable until the
+// retention purge, like any admin delete).
+app.post('/api/admin/moderation/rejections/:id/dismiss', requireAdmin, (req, res) => {
+    try {
+        const rejectionId = req.params.id;
+        if (!isValidUUID(rejectionId)) {
+            return res.status(400).json({ error: 'Invalid rejection ID format' });
+        }
+        const held = readJsonStore(MODERATION_LOG_FILE, 'Moderation log').find(e => e.id === rejectionId);
+        const heldDesign = held ? heldDesignAwaitingReview(held) : null;
+        const entry = updateModerationRejection(rejectionId, e => {
+            e.review = { action: 'dismissed', at: new Date().toISOString() };
+        });
+        if (!entry) {
+            return res.status(404).json({ error: 'Rejection not found' });
+        }
+        removeQuarantinedUpload(rejectionId);
+        if (heldDesign) {
+            softDeleteDesign(heldDesign.id, 'admin');
+            console.log(`ADMIN: Held design ${heldDesign.id} deleted (rejection ${rejectionId} upheld)`);
+        }
+
+        console.log(`ADMIN: Rejected upload ${rejectionId} dismissed`);
+        res.json({ success: true, design_deleted: !!heldDesign });
+    } catch (error) {
+        console.error('Rejection dismiss error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // Export all censored entries to a file for manual correction
 app.get('/api/admin/export-censored', requireAdmin, (req, res) => {
     try {
-        const allMetadata = loadMetadata();
+        const allMetadata = designStore.all();
         const censoredEntries = [];
 
         // Find all entries with asterisks in title or author name
@@ -2339,7 +7101,6 @@ app.post('/api/admin/import-corrections', requireAdmin, (req, res) => {
             return res.status(400).json({ error: 'Missing or invalid corrections array' });
         }
 
-        const allMetadata = loadMetadata();
         let appliedCount = 0;
         const results = [];
 
@@ -2348,9 +7109,9 @@ app.post('/api/admin/import-corrections', requireAdmin, (req, res) => {
                 continue;
             }
 
-            const designIndex = allMetadata.findIndex(d => d.id === correction.id);
+            const design = designStore.get(correction.id);
 
-            if (designIndex === -1) {
+            if (!design) {
                 results.push({
                     id: correction.id,
                     status: 'not_found',
@@ -2359,7 +7120,6 @@ app.post('/api/admin/import-corrections', requireAdmin, (req, res) => {
                 continue;
             }
 
-            const design = allMetadata[designIndex];
             let changed = false;
 
             // Apply title correction if provided
@@ -2375,6 +7135,7 @@ app.post('/api/admin/import-corrections', requireAdmin, (req, res) => {
             }
 
             if (changed) {
+                designStore.save(design);
                 appliedCount++;
                 results.push({
                     id: correction.id,
@@ -2391,9 +7152,7 @@ app.post('/api/admin/import-corrections', requireAdmin, (req, res) => {
             }
         }
 
-        // Save updated metadata
         if (appliedCount > 0) {
-            saveMetadata(allMetadata);
             console.log(`Applied ${appliedCount} manual corrections`);
         }
 
@@ -2414,7 +7173,7 @@ app.post('/api/admin/import-corrections', requireAdmin, (req, res) => {
 // Repair censored text in metadata (fix old profanity filter damage)
 app.post('/api/admin/repair-censored', requireAdmin, (req, res) => {
     try {
-        const allMetadata = loadMetadata();
+        const allMetadata = designStore.all();
         let repairedCount = 0;
         const repairs = [];
 
@@ -2469,6 +7228,7 @@ app.post('/api/admin/repair-censored', requireAdmin, (req, res) => {
 
             // Track repairs
             if (titleChanged || authorChanged) {
+                designStore.save(design);
                 repairedCount++;
                 repairs.push({
                     id: design.id,
@@ -2480,9 +7240,7 @@ app.post('/api/admin/repair-censored', requireAdmin, (req, res) => {
             }
         }
 
-        // Save repaired metadata
         if (repairedCount > 0) {
-            saveMetadata(allMetadata);
             console.log(`Repaired ${repairedCount} designs with censored text`);
         }
 
@@ -2906,8 +7664,8 @@ app.get('/api/analytics/event-names', requireAdmin, (req, res) => {
 // Clear analytics data (admin auth required)
 app.delete('/api/analytics/clear', requireAdmin, (req, res) => {
     try {
-        fs.writeJsonSync(ANALYTICS_EVENTS_FILE, []);
-        fs.writeJsonSync(ANALYTICS_SESSIONS_FILE, []);
+        saveAnalyticsEvents([]);
+        saveAnalyticsSessions([]);
 
         console.log('Analytics data cleared');
 
@@ -2973,9 +7731,17 @@ app.delete('/api/admin/reset', requireAdmin, (req, res) => {
         if (fs.existsSync(THUMBNAILS_DIR)) {
             fs.emptyDirSync(THUMBNAILS_DIR);
         }
+        if (fs.existsSync(THUMBNAIL_RENDITIONS_DIR)) {
+            fs.emptyDirSync(THUMBNAIL_RENDITIONS_DIR);
+        }
+
+        // Clear all revisions
+        if (fs.existsSync(REVISIONS_DIR)) {
+            fs.emptyDirSync(REVISIONS_DIR);
+        }
         
         // Reset metadata
-        fs.writeJsonSync(METADATA_FILE, []);
+        designStore.clear();
         
         console.log('ADMIN RESET: Server data reset - all designs and metadata cleared');
         res.json({ 
@@ -2994,13 +7760,13 @@ app.delete('/api/admin/reset-analytics', requireAdmin, (req, res) => {
     try {
         // Clear analytics events
         if (fs.existsSync(ANALYTICS_EVENTS_FILE)) {
-            fs.writeJsonSync(ANALYTICS_EVENTS_FILE, []);
+            saveAnalyticsEvents([]);
             console.log('Analytics events cleared');
         }
 
         // Clear analytics sessions
         if (fs.existsSync(ANALYTICS_SESSIONS_FILE)) {
-            fs.writeJsonSync(ANALYTICS_SESSIONS_FILE, []);
+            saveAnalyticsSessions([]);
             console.log('Analytics sessions cleared');
         }
 
@@ -3619,9 +8385,17 @@ app.delete('/api/reset', (req, res) => {
         if (fs.existsSync(THUMBNAILS_DIR)) {
             fs.emptyDirSync(THUMBNAILS_DIR);
         }
+        if (fs.existsSync(THUMBNAIL_RENDITIONS_DIR)) {
+            fs.emptyDirSync(THUMBNAIL_RENDITIONS_DIR);
+        }
+
+        // Clear all revisions
+        if (fs.existsSync(REVISIONS_DIR)) {
+            fs.emptyDirSync(REVISIONS_DIR);
+        }
         
         // Reset metadata
-        fs.writeJsonSync(METADATA_FILE, []);
+        designStore.clear();
         
         console.log('Server data reset - all designs and metadata cleared');
         res.json({ 
@@ -3641,16 +8415,43 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Storage directory: ${STORAGE_DIR}`);
     console.log(`Persistent storage: ${process.env.RAILWAY_VOLUME_MOUNT_PATH ? 'ENABLED' : 'LOCAL'}`);
     console.log(`Sharp compression: ${sharp ? 'ENABLED' : 'DISABLED'}`);
-    console.log(`Thumbnail moderation: ${MODERATION_ENDPOINT && MODERATION_KEY ? `ENABLED (severity >= ${MODERATION_SEVERITY_THRESHOLD})` : 'DISABLED (set AZURE_CONTENT_SAFETY_ENDPOINT + AZURE_CONTENT_SAFETY_KEY)'}`);
+    console.log(`Text moderation: ${activeTextModerationProviders().join(', ') || 'DISABLED'}`);
+    reportTextModerationList();
+    console.log(`Thumbnail moderation: ${describeImageModeration()}`);
+    console.log(`Moderation quarantine: ${QUARANTINE_KEY ? 'ENABLED (encrypted)' : 'DISABLED (set MODERATION_QUARANTINE_KEY)'}`);
+    console.log(`Pending image moderation: ${designStore.moderationQueue().length} design(s) queued`);
     console.log(`AI crash analysis: ${Anthropic && process.env.ANTHROPIC_API_KEY ? 'ENABLED' : 'DISABLED (set ANTHROPIC_API_KEY)'}`);
     console.log(`Artist links: ${loadArtists().filter(a => a.active !== false).length} active at /go/<slug>`);
+    console.log(`Deleted designs: purged after ${DESIGN_RETENTION_DAYS} day(s)`);
     console.log(`Server ready for connections`);
 });
 
+// Purge expired soft-deleted designs at startup and every few hours
+purgeExpiredDesigns();
+setInterval(purgeExpiredDesigns, DESIGN_PURGE_INTERVAL_MS).unref();
+
+// Hash saves and thumbnails uploaded before validation and duplicate
+// detection, compress saves and build missing renditions, one after the other
+backfillSaveHashes()
+    .then(() => backfillThumbnailHashes())
+    .then(() => backfillCompressedSaves())
+    .then(() => backfillThumbnailRenditions())
+    .catch(error => console.error('Thumbnail backfill error:', error));
+
+// Drop abandoned resumable uploads at startup and every hour
+purgeExpiredUploadSessions();
+setInterval(purgeExpiredUploadSessions, UPLOAD_SESSION_SWEEP_INTERVAL_MS).unref();
+
+// Resume queued image moderation and pick up retries as they fall due
+purgeOrphanPendingThumbnails();
+runModerationWorker();
+setInterval(runModerationWorker, MODERATION_WORKER_INTERVAL_MS).unref();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('Received SIGTERM, shutting down gracefully');
     server.close(() => {
+        designsDb.close();
         console.log('Server closed');
         process.exit(0);
     });
@@ -3659,6 +8460,7 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
     console.log('Received SIGINT, shutting down gracefully');
     server.close(() => {
+        designsDb.close();
         console.log('Server closed');
         process.exit(0);
     });